@@ -57,21 +57,10 @@ class SoundManager {
         osc.stop(this.audioContext.currentTime + duration);
     }
 
-    // Countdown beeps (3, 2, 1, GO!)
-    playCountdown(callback) {
-        if (!this.initialized) return callback?.();
-
-        const times = [0, 1000, 2000, 3000];
-        const freqs = [440, 440, 440, 880];
-        const durations = [0.2, 0.2, 0.2, 0.5];
-
-        times.forEach((time, i) => {
-            setTimeout(() => {
-                this.beep(freqs[i], durations[i], "square");
-            }, time);
-        });
-
-        setTimeout(callback, 3500);
+    // Countdown beeps: steps 0-2 are "3, 2, 1", step 3 is GO!
+    playCountdownBeep(step) {
+        const isGo = step >= 3;
+        this.beep(isGo ? 880 : 440, isGo ? 0.5 : 0.2, "square");
     }
 
     // Lap completion sound
@@ -237,6 +226,13 @@ class SoundManager {
         }
     }
 
+    // Pause without rewinding, so resuming picks up where it left off
+    pauseMusic() {
+        if (this.musicElement) {
+            this.musicElement.pause();
+        }
+    }
+
     stopMusic() {
         if (this.musicElement) {
             this.musicElement.pause();
@@ -285,18 +281,89 @@ const soundManager = new SoundManager();
 const SETTINGS_KEY = "microRacer.settings";
 const LEADERBOARD_KEY_PREFIX = "microRacer.leaderboard.";
 const LEADERBOARD_LIMIT = 10;
+const BEST_SECTORS_KEY_PREFIX = "microRacer.bestSectors.";
+const BEST_LAP_KEY_PREFIX = "microRacer.bestLap.";
+const TIME_TRIAL_BEST_KEY_PREFIX = "microRacer.timeTrialBest.";
+
+// Race rule presets selectable from the settings screen
+const RULE_PRESETS = {
+    casual: {
+        lapCount: 2,
+        pointsToWin: 3,
+        collisions: false,
+        slipstream: true,
+        slipstreamDistance: 180,
+        slipstreamDuration: 600,
+        slipstreamBoost: 0.6,
+        items: true,
+    },
+    classic: {
+        lapCount: 3,
+        pointsToWin: 5,
+        collisions: true,
+        slipstream: true,
+        slipstreamDistance: 140,
+        slipstreamDuration: 450,
+        slipstreamBoost: 0.45,
+        items: false,
+    },
+    hardcore: {
+        lapCount: 5,
+        pointsToWin: 8,
+        collisions: true,
+        slipstream: true,
+        slipstreamDistance: 110,
+        slipstreamDuration: 350,
+        slipstreamBoost: 0.3,
+        items: false,
+    },
+};
+
+// Player colors by grid slot
+const PLAYER_COLORS = ["#ff4444", "#4444ff", "#44ff44", "#ffff44"];
+
+// Paint choices in the garage (the player defaults come first)
+const PAINT_COLORS = [
+    ...PLAYER_COLORS,
+    "#ff8c1a",
+    "#b04dff",
+    "#00d5d5",
+    "#ff66c4",
+    "#f2f2f2",
+    "#333333",
+];
+
 const defaultSettings = {
     ghostEnabled: true,
     musicEnabled: true,
     sfxEnabled: true,
+    aiDifficulty: "medium",
+    raceMode: "race",
+    rulesPreset: "classic",
+    rules: { ...RULE_PRESETS.classic },
+    // Name of the profile sitting in each player seat (see loadProfiles)
+    seatProfiles: PLAYER_COLORS.map((color, i) => `Player ${i + 1}`),
 };
 
 function loadSettings() {
     try {
-        const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY));
-        return { ...defaultSettings, ...(stored || {}) };
+        // Seat picks live on the profiles now (see loadProfiles)
+        const { garage, ...stored } = JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+        const storedSeats = Array.isArray(stored.seatProfiles) ? stored.seatProfiles : [];
+        return {
+            ...defaultSettings,
+            ...stored,
+            rules: { ...defaultSettings.rules, ...(stored.rules || {}) },
+            seatProfiles: defaultSettings.seatProfiles.map((name, i) =>
+                typeof storedSeats[i] === "string" ? storedSeats[i] : name
+            ),
+        };
     } catch (e) {
-        return { ...defaultSettings };
+        return {
+            ...defaultSettings,
+            rules: { ...defaultSettings.rules },
+            seatProfiles: [...defaultSettings.seatProfiles],
+        };
     }
 }
 
@@ -304,6 +371,59 @@ function saveSettings(settings) {
     localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
 }
 
+const PROFILES_KEY = "microRacer.profiles";
+const PROFILE_LIMIT = 12;
+const PROFILE_NAME_MAX = 16;
+
+// A profile's garage pick and livery; a null vehicle drives the track's
+// own and a null secondary uses the darker accent
+function createProfile(name, color) {
+    return { name, vehicle: null, color, secondary: null, pattern: "none", number: null };
+}
+
+// Player profiles: a named garage pick and livery that goes with a player
+// to whichever seat they sit in
+function loadProfiles() {
+    const defaults = defaultSettings.seatProfiles.map((name, i) =>
+        createProfile(name, PLAYER_COLORS[i])
+    );
+    try {
+        const stored = JSON.parse(localStorage.getItem(PROFILES_KEY));
+        if (!Array.isArray(stored)) return migrateGaragePicks(defaults);
+        const profiles = stored
+            .filter((profile) => profile && typeof profile.name === "string")
+            .map((profile) => ({ ...createProfile(profile.name, PLAYER_COLORS[0]), ...profile }));
+        return profiles.length > 0 ? profiles : defaults;
+    } catch (e) {
+        return defaults;
+    }
+}
+
+function saveProfiles(profiles) {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+}
+
+// Older saves kept one garage pick per seat in the settings; hand each
+// one to that seat's default profile, then drop the old key for good
+function migrateGaragePicks(profiles) {
+    try {
+        const settings = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+        if (!settings || !Array.isArray(settings.garage)) return profiles;
+        settings.garage.slice(0, profiles.length).forEach((pick, i) => {
+            if (!pick || typeof pick !== "object") return;
+            for (const field of ["vehicle", "color", "secondary", "pattern", "number"]) {
+                if (field in pick) profiles[i][field] = pick[field];
+            }
+        });
+        delete settings.garage;
+        saveSettings(settings);
+        saveProfiles(profiles);
+    } catch (e) {
+        // Unreadable settings keep the defaults
+    }
+    return profiles;
+}
+
 function formatTime(milliseconds) {
     const minutes = Math.floor(milliseconds / 60000);
     const seconds = Math.floor((milliseconds % 60000) / 1000);
@@ -313,6 +433,18 @@ function formatTime(milliseconds) {
         .padStart(2, "0")}`;
 }
 
+function formatOrdinal(n) {
+    const suffixes = ["th", "st", "nd", "rd"];
+    const mod100 = n % 100;
+    return `${n}${suffixes[(mod100 - 20) % 10] || suffixes[mod100] || suffixes[0]}`;
+}
+
+// Wrap an angle into the -PI..PI range
+function normalizeAngle(angle) {
+    const twoPi = Math.PI * 2;
+    return ((((angle + Math.PI) % twoPi) + twoPi) % twoPi) - Math.PI;
+}
+
 function getLeaderboardStorageKey(trackIndex) {
     return `${LEADERBOARD_KEY_PREFIX}${trackIndex}`;
 }
@@ -382,6 +514,249 @@ function addLeaderboardEntry(trackIndex, entry) {
     return { entries: next, rank };
 }
 
+// Best time for each sector on a track, stored independently of the best lap
+function loadBestSectors(trackIndex) {
+    try {
+        const stored = JSON.parse(
+            localStorage.getItem(`${BEST_SECTORS_KEY_PREFIX}${trackIndex}`)
+        );
+        return Array.isArray(stored) ? stored : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function saveBestSectors(trackIndex, sectors) {
+    localStorage.setItem(
+        `${BEST_SECTORS_KEY_PREFIX}${trackIndex}`,
+        JSON.stringify(sectors)
+    );
+}
+
+function clearBestSectors(trackIndex) {
+    localStorage.removeItem(`${BEST_SECTORS_KEY_PREFIX}${trackIndex}`);
+}
+
+function clearBestLap(trackIndex) {
+    localStorage.removeItem(`${BEST_LAP_KEY_PREFIX}${trackIndex}`);
+}
+
+// Best time-trial lap on a track. Medals are earned from this alone, so
+// laps from normal races (any vehicle, any rules) never count towards them.
+function loadTimeTrialBest(trackIndex) {
+    try {
+        const stored = JSON.parse(
+            localStorage.getItem(`${TIME_TRIAL_BEST_KEY_PREFIX}${trackIndex}`)
+        );
+        return typeof stored === "number" && stored > 0 ? stored : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function saveTimeTrialBest(trackIndex, time) {
+    localStorage.setItem(
+        `${TIME_TRIAL_BEST_KEY_PREFIX}${trackIndex}`,
+        JSON.stringify(time)
+    );
+}
+
+function clearTimeTrialBest(trackIndex) {
+    localStorage.removeItem(`${TIME_TRIAL_BEST_KEY_PREFIX}${trackIndex}`);
+}
+
+// Sum of the best sectors, or null until every sector has a time
+function getTheoreticalBest(sectors, sectorCount) {
+    if (sectors.length !== sectorCount) return null;
+    if (!sectors.every((time) => typeof time === "number" && time > 0)) {
+        return null;
+    }
+    return sectors.reduce((sum, time) => sum + time, 0);
+}
+
+// "+0.42" / "-0.31" style delta in seconds
+function formatDelta(milliseconds) {
+    const sign = milliseconds < 0 ? "-" : "+";
+    return `${sign}${(Math.abs(milliseconds) / 1000).toFixed(2)}`;
+}
+
+// Pickups handed out by item boxes
+const ITEM_TYPES = {
+    boost: { icon: "⚡", label: "Boost" },
+    oil: { icon: "🛢️", label: "Oil Slick" },
+    marble: { icon: "🔵", label: "Marble" },
+    shield: { icon: "🛡️", label: "Shield" },
+};
+
+// Track surface zones. `friction` scales rolling drag, `traction` scales
+// steering grip and `topSpeed` caps speed relative to the car's cruise speed.
+// `vehicles` overrides those per vehicle style.
+const SURFACE_TYPES = {
+    milk: {
+        label: "Spilt Milk",
+        friction: 0.8,
+        traction: 0.45,
+        topSpeed: 0.9,
+        base: "#fbfaf3",
+        pattern: { type: "waves", fg: "#e4e2d6", size: 40, alpha: 0.6 },
+        vehicles: {
+            soapboat: { friction: 0.7, traction: 0.9, topSpeed: 1.25 },
+        },
+    },
+    soap: {
+        label: "Soapy Patch",
+        friction: 0.6,
+        traction: 0.3,
+        topSpeed: 1,
+        base: "#e3f2ff",
+        pattern: { type: "rings", fg: "#ffffff", size: 22, alpha: 0.8 },
+        vehicles: {
+            soapboat: { friction: 0.6, traction: 0.9, topSpeed: 1.3 },
+            truck: { traction: 0.55 },
+        },
+    },
+    mud: {
+        label: "Mud Puddle",
+        friction: 2,
+        traction: 0.7,
+        topSpeed: 0.6,
+        base: "#6b4a2b",
+        pattern: { type: "speckles", fg: "#4e341d", size: 30, alpha: 0.7 },
+        vehicles: {
+            buggy: { friction: 1.2, traction: 1, topSpeed: 0.9 },
+            truck: { friction: 1.5, topSpeed: 0.75 },
+            formula: { topSpeed: 0.45 },
+            soapboat: { traction: 0.5, topSpeed: 0.5 },
+        },
+    },
+    boost: {
+        label: "Boost Strip",
+        friction: 0.5,
+        traction: 1,
+        topSpeed: 1.4,
+        base: "#ffb703",
+        pattern: { type: "stripes", fg: "#fb8500", size: 20, alpha: 0.7 },
+        vehicles: {},
+    },
+};
+
+// Surface handling for one vehicle style, falling back to the zone defaults
+function getSurfaceHandling(type, shape) {
+    const surface = SURFACE_TYPES[type];
+    return {
+        friction: surface.friction,
+        traction: surface.traction,
+        topSpeed: surface.topSpeed,
+        ...surface.vehicles[shape],
+    };
+}
+
+// Time trial target lap times (ms) per track, fastest medal first
+const MEDALS = [
+    { id: "author", label: "Author", icon: "💎", color: "#4fd1ff" },
+    { id: "gold", label: "Gold", icon: "🥇", color: "#ffd166" },
+    { id: "silver", label: "Silver", icon: "🥈", color: "#d7dde4" },
+    { id: "bronze", label: "Bronze", icon: "🥉", color: "#d08c55" },
+];
+
+const TRACK_MEDAL_TIMES = [
+    { author: 31000, gold: 33000, silver: 38000, bronze: 47000 },
+    { author: 30500, gold: 32500, silver: 38500, bronze: 47500 },
+    { author: 30000, gold: 32000, silver: 38500, bronze: 48000 },
+    { author: 33000, gold: 35000, silver: 39500, bronze: 49500 },
+    { author: 29800, gold: 31500, silver: 36500, bronze: 46000 },
+    { author: 33000, gold: 35000, silver: 40500, bronze: 50500 },
+    { author: 35000, gold: 37000, silver: 44000, bronze: 52500 },
+    { author: 28200, gold: 30000, silver: 36000, bronze: 44500 },
+    { author: 32200, gold: 34000, silver: 41000, bronze: 50500 },
+    { author: 31700, gold: 33500, silver: 38500, bronze: 49000 },
+];
+
+// Best medal a lap time earns on a track, or null
+function getMedal(trackIndex, time) {
+    const targets = TRACK_MEDAL_TIMES[trackIndex];
+    if (!targets || !time) return null;
+    return MEDALS.find((medal) => time <= targets[medal.id]) || null;
+}
+
+// Next medal to chase given the current best lap (null once author is beaten)
+function getNextMedal(trackIndex, bestTime) {
+    const earned = getMedal(trackIndex, bestTime);
+    const earnedIndex = earned ? MEDALS.indexOf(earned) : MEDALS.length;
+    return earnedIndex > 0 ? MEDALS[earnedIndex - 1] : null;
+}
+
+const CUP_STORAGE_KEY = "microRacer.cup";
+// Cup points by finishing position; cars that don't finish score nothing
+const CUP_POINTS = [10, 6, 4, 3];
+
+function loadCup() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CUP_STORAGE_KEY));
+        if (
+            !stored ||
+            !Array.isArray(stored.tracks) ||
+            !Array.isArray(stored.points) ||
+            stored.raceIndex >= stored.tracks.length
+        ) {
+            return null;
+        }
+        return stored;
+    } catch (e) {
+        return null;
+    }
+}
+
+function saveCup(cup) {
+    localStorage.setItem(CUP_STORAGE_KEY, JSON.stringify(cup));
+}
+
+function clearCup() {
+    localStorage.removeItem(CUP_STORAGE_KEY);
+}
+
+function createCup(trackIndices, playerCount, aiDifficulty) {
+    const driverCount =
+        aiDifficulty in AI_DIFFICULTIES ? PLAYER_COLORS.length : playerCount;
+    return {
+        tracks: [...trackIndices],
+        raceIndex: 0,
+        playerCount,
+        aiDifficulty,
+        points: Array(driverCount).fill(0),
+        wins: Array(driverCount).fill(0),
+    };
+}
+
+// Award points for a finished race and move the cup on to the next track
+function recordCupRace(cup, results) {
+    results.forEach((row) => {
+        if (!row.car.finished) return;
+        const slot = row.car.playerIndex;
+        cup.points[slot] += CUP_POINTS[row.position - 1] || 0;
+        if (row.position === 1) {
+            cup.wins[slot]++;
+        }
+    });
+    cup.raceIndex++;
+}
+
+function isCupComplete(cup) {
+    return cup.raceIndex >= cup.tracks.length;
+}
+
+function getCupStandings(cup) {
+    return cup.points
+        .map((points, slot) => ({ slot, points, wins: cup.wins[slot] }))
+        .sort((a, b) => b.points - a.points || b.wins - a.wins || a.slot - b.slot);
+}
+
+function getCupDriverName(cup, slot) {
+    return slot < cup.playerCount
+        ? `Player ${slot + 1}`
+        : `CPU ${slot - cup.playerCount + 1}`;
+}
+
 // Gamepad Manager for controller support
 class GamepadManager {
     constructor() {
@@ -468,6 +843,73 @@ class GamepadManager {
         return Math.max(trigger, bButton);
     }
     
+    // Start/Options button (button 9 on standard mapping)
+    isStartPressed(gamepadIndex) {
+        const gamepad = this.getGamepad(gamepadIndex);
+        if (!gamepad) return false;
+
+        return !!gamepad.buttons[9]?.pressed;
+    }
+
+    // Respawn on the track: Y button (button 3 on standard mapping)
+    isRespawnPressed(gamepadIndex) {
+        const gamepad = this.getGamepad(gamepadIndex);
+        if (!gamepad) return false;
+
+        return !!gamepad.buttons[3]?.pressed;
+    }
+
+    // Use the held item: X button (button 2 on standard mapping)
+    isUseItemPressed(gamepadIndex) {
+        const gamepad = this.getGamepad(gamepadIndex);
+        if (!gamepad) return false;
+
+        return !!gamepad.buttons[2]?.pressed;
+    }
+
+    // Restart the lap in time trial: Back/Select (button 8 on standard mapping)
+    isRestartLapPressed(gamepadIndex) {
+        const gamepad = this.getGamepad(gamepadIndex);
+        if (!gamepad) return false;
+
+        return !!gamepad.buttons[8]?.pressed;
+    }
+
+    // Menu navigation from the d-pad or left stick: -1, 0 or 1 per axis
+    getNavInput(gamepadIndex) {
+        const gamepad = this.getGamepad(gamepadIndex);
+        if (!gamepad) return { x: 0, y: 0 };
+
+        const stickX = gamepad.axes[0] || 0;
+        const stickY = gamepad.axes[1] || 0;
+        let x = Math.abs(stickX) > 0.5 ? Math.sign(stickX) : 0;
+        let y = Math.abs(stickY) > 0.5 ? Math.sign(stickY) : 0;
+
+        // D-pad (buttons 12-15 on standard mapping)
+        if (gamepad.buttons[12]?.pressed) y = -1;
+        if (gamepad.buttons[13]?.pressed) y = 1;
+        if (gamepad.buttons[14]?.pressed) x = -1;
+        if (gamepad.buttons[15]?.pressed) x = 1;
+
+        return { x, y };
+    }
+
+    // Confirm in menus: A button (button 0 on standard mapping)
+    isConfirmPressed(gamepadIndex) {
+        const gamepad = this.getGamepad(gamepadIndex);
+        if (!gamepad) return false;
+
+        return !!gamepad.buttons[0]?.pressed;
+    }
+
+    // Back out of menus: B button (button 1 on standard mapping)
+    isBackPressed(gamepadIndex) {
+        const gamepad = this.getGamepad(gamepadIndex);
+        if (!gamepad) return false;
+
+        return !!gamepad.buttons[1]?.pressed;
+    }
+
     // Check if any button is pressed (for menu navigation)
     isAnyButtonPressed(gamepadIndex) {
         const gamepad = this.getGamepad(gamepadIndex);
@@ -486,15 +928,36 @@ const touchControlsState = {
     right: false,
     accel: false,
     brake: false,
+    respawn: false,
+    useItem: false,
 };
 
 
+// Keyboard layout for each player seat
+const PLAYER_KEY_MAPS = [
+    {
+        up: "arrowup",
+        down: "arrowdown",
+        left: "arrowleft",
+        right: "arrowright",
+        respawn: "enter",
+        restartLap: "r",
+        useItem: "control",
+    },
+    { up: "w", down: "s", left: "a", right: "d", respawn: "q", useItem: "e" },
+    { up: "i", down: "k", left: "j", right: "l", respawn: "u", useItem: "o" },
+    { up: "8", down: "5", left: "4", right: "6", respawn: "0", useItem: "+" },
+];
+
 // Car Images - SVG cartoon cars
 // Structure: CarImages[style][colorHex] = ImageObject
 const CarImages = {
     loaded: false,
 };
 
+// In-flight renders, keyed by "style|color"
+const carImageRequests = new Map();
+
 // Helper: Darken hex color for accents
 function darkenColor(hex, amount = 0.3) {
     let r = parseInt(hex.substring(1, 3), 16);
@@ -599,39 +1062,440 @@ const CarSVGTemplates = {
         </svg>`,
 };
 
+// Livery decals painted over any template in the secondary color
+const LIVERY_PATTERNS = [
+    { id: "none", label: "Plain" },
+    { id: "stripe", label: "Stripe" },
+    { id: "twin", label: "Twin Stripes" },
+    { id: "band", label: "Band" },
+    { id: "checker", label: "Checkers" },
+];
+
+// A paint job is either a bare color or a livery
+// { primary, secondary, pattern, number }. Missing parts fall back to the
+// darker accent, no pattern and no race number.
+function normalizeLivery(paint) {
+    const livery = typeof paint === "string" ? { primary: paint } : paint;
+    const number = parseInt(livery.number, 10);
+    return {
+        primary: livery.primary,
+        secondary: livery.secondary || darkenColor(livery.primary),
+        pattern: livery.pattern || "none",
+        number: number >= 0 && number <= 99 ? number : null,
+    };
+}
+
+// Cache key for a paint job; plain ones share the bare color's sprite
+function getLiveryKey(paint) {
+    const livery = normalizeLivery(paint);
+    const isPlain =
+        livery.secondary === darkenColor(livery.primary) &&
+        livery.pattern === "none" &&
+        livery.number === null;
+    if (isPlain) return livery.primary;
+    return [livery.primary, livery.secondary, livery.pattern, livery.number].join("|");
+}
+
+// Decal and race number elements laid over a template, sized from its viewBox
+function getLiveryOverlay(svgString, livery) {
+    const viewBoxMatch = svgString.match(/viewBox="([^"]+)"/);
+    if (!viewBoxMatch) return "";
+    const [, , w, h] = viewBoxMatch[1].split(/[\s,]+/).map(Number);
+    const cx = w / 2;
+    // Decal sizes are tuned for the ~24 unit wide built-in templates
+    const unit = w / 24;
+    // Keep the generated markup tidy
+    const px = (value) => Math.round(value * 100) / 100;
+    const accent = livery.secondary;
+    const parts = [];
+
+    if (livery.pattern === "stripe") {
+        parts.push(`<rect x="${px(cx - 1.5 * unit)}" y="${px(h * 0.12)}" width="${px(3 * unit)}" height="${px(h * 0.76)}" fill="${accent}" opacity="0.9"/>`);
+    } else if (livery.pattern === "twin") {
+        parts.push(`<rect x="${px(cx - 3.5 * unit)}" y="${px(h * 0.12)}" width="${px(2 * unit)}" height="${px(h * 0.76)}" fill="${accent}" opacity="0.9"/>`);
+        parts.push(`<rect x="${px(cx + 1.5 * unit)}" y="${px(h * 0.12)}" width="${px(2 * unit)}" height="${px(h * 0.76)}" fill="${accent}" opacity="0.9"/>`);
+    } else if (livery.pattern === "band") {
+        parts.push(`<rect x="${px(w * 0.18)}" y="${px(h * 0.3)}" width="${px(w * 0.64)}" height="${px(3.5 * unit)}" fill="${accent}" opacity="0.9"/>`);
+    } else if (livery.pattern === "checker") {
+        const size = px((w * 0.6) / 6);
+        for (let row = 0; row < 2; row++) {
+            for (let col = 0; col < 6; col++) {
+                const fill = (row + col) % 2 === 0 ? accent : "#ffffff";
+                parts.push(`<rect x="${px(w * 0.2 + col * size)}" y="${px(h * 0.72 + row * size)}" width="${size}" height="${size}" fill="${fill}"/>`);
+            }
+        }
+    }
+
+    if (livery.number !== null) {
+        const r = px(w * 0.2);
+        const cy = px(h * 0.55);
+        parts.push(`<circle cx="${cx}" cy="${cy}" r="${r}" fill="#ffffff" stroke="${accent}" stroke-width="${px(0.8 * unit)}"/>`);
+        parts.push(`<text x="${cx}" y="${cy}" font-family="Arial" font-weight="bold" font-size="${px(r * 1.25)}" fill="#111111" text-anchor="middle" dominant-baseline="central">${livery.number}</text>`);
+    }
+
+    return parts.join("");
+}
+
+function buildCarSVG(style, paint) {
+    const livery = normalizeLivery(paint);
+    const svgString = isCustomVehicle(style)
+        ? tintCustomSVG(getCustomSprite(style).data, livery)
+        : CarSVGTemplates[style](livery.primary, livery.secondary);
+    return svgString.replace("</svg>", `${getLiveryOverlay(svgString, livery)}</svg>`);
+}
+
+// Render one style/paint sprite from its SVG template into CarImages
+function loadCarImage(style, paint) {
+    const paintKey = getLiveryKey(paint);
+    const key = `${style}|${paintKey}`;
+    if (carImageRequests.has(key)) {
+        return carImageRequests.get(key);
+    }
+
+    const sprite = isCustomVehicle(style) ? getCustomSprite(style) : null;
+    if (sprite && sprite.format === "png") {
+        const request = renderTintedPNG(sprite, normalizeLivery(paint)).then((img) => {
+            CarImages[style] = CarImages[style] || {};
+            CarImages[style][paintKey] = img;
+            return img;
+        });
+        carImageRequests.set(key, request);
+        return request;
+    }
+
+    const request = new Promise((resolve) => {
+        const svgString = buildCarSVG(style, paint);
+        const blob = new Blob([svgString], { type: "image/svg+xml" });
+        const url = URL.createObjectURL(blob);
+        const img = new Image();
+
+        img.onload = () => {
+            CarImages[style] = CarImages[style] || {};
+            CarImages[style][paintKey] = img;
+            URL.revokeObjectURL(url); // Clean up memory
+            resolve(img);
+        };
+        img.src = url;
+    });
+    carImageRequests.set(key, request);
+    return request;
+}
+
+// Sprite for a style/paint job if it is ready. Anything outside the
+// preloaded palette is rendered on first use; until then the car is drawn
+// by hand.
+function getCarImage(style, paint) {
+    const images = CarImages[style];
+    const image = images && images[getLiveryKey(paint)];
+    if (image) return image;
+    if (CarSVGTemplates[style] || getCustomSprite(style)) {
+        loadCarImage(style, paint);
+    }
+    return null;
+}
+
 // Preload car SVG images by generating them
 function preloadCarImages() {
-    return new Promise((resolve) => {
-        // Player colors: Red, Blue, Green, Yellow, plus Ghost (White)
-        const colors = ["#ff4444", "#4444ff", "#44ff44", "#ffff44", "#ffffff"];
-        const styles = Object.keys(CarSVGTemplates);
-        const totalImages = styles.length * colors.length;
-        let loadCount = 0;
-
-        styles.forEach((style) => {
-            CarImages[style] = {};
-            colors.forEach((color) => {
-                const darkColor = darkenColor(color);
-                const svgString = CarSVGTemplates[style](color, darkColor);
-                const blob = new Blob([svgString], { type: "image/svg+xml" });
-                const url = URL.createObjectURL(blob);
-                const img = new Image();
-
-                img.onload = () => {
-                    CarImages[style][color] = img;
-                    URL.revokeObjectURL(url); // Clean up memory
-                    loadCount++;
-                    if (loadCount === totalImages) {
-                        CarImages.loaded = true;
-                        resolve();
-                    }
-                };
-                img.src = url;
-            });
+    // Player colors: Red, Blue, Green, Yellow, plus Ghost (White)
+    const colors = [...PLAYER_COLORS, "#ffffff"];
+    const styles = Object.keys(CarSVGTemplates);
+    const requests = styles.flatMap((style) =>
+        colors.map((color) => loadCarImage(style, color))
+    );
+    return Promise.all(requests).then(() => {
+        CarImages.loaded = true;
+    });
+}
+
+// Player-imported sprites, stored locally and offered in the garage as
+// "custom:<id>" vehicles. SVGs tint through {{primary}}/{{secondary}}
+// placeholders; PNGs through pure magenta (body) and cyan (accent) pixels.
+const CUSTOM_SPRITES_KEY = "microRacer.customSprites";
+const CUSTOM_SPRITE_LIMIT = 8;
+const CUSTOM_SPRITE_MAX_BYTES = 200 * 1024;
+const CUSTOM_SPRITE_MIN_SIZE = 16;
+const CUSTOM_SPRITE_MAX_SIZE = 1024;
+// Imported sprites are drawn this tall, like the built-in cars
+const CUSTOM_SPRITE_HEIGHT = 43;
+let customSprites = loadCustomSprites();
+
+function loadCustomSprites() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CUSTOM_SPRITES_KEY));
+        return Array.isArray(stored) ? stored : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function saveCustomSprites(sprites) {
+    try {
+        localStorage.setItem(CUSTOM_SPRITES_KEY, JSON.stringify(sprites));
+        customSprites = sprites;
+        return true;
+    } catch (e) {
+        // Most likely over the storage quota
+        return false;
+    }
+}
+
+function isCustomVehicle(shape) {
+    return typeof shape === "string" && shape.startsWith("custom:");
+}
+
+function getCustomSprite(shape) {
+    if (!isCustomVehicle(shape)) return null;
+    const id = shape.slice("custom:".length);
+    return customSprites.find((sprite) => sprite.id === id) || null;
+}
+
+function deleteCustomSprite(shape) {
+    const sprite = getCustomSprite(shape);
+    if (!sprite) return;
+    saveCustomSprites(customSprites.filter((s) => s !== sprite));
+}
+
+function tintCustomSVG(svgString, livery) {
+    return svgString
+        .split("{{primary}}")
+        .join(livery.primary)
+        .split("{{secondary}}")
+        .join(livery.secondary);
+}
+
+function loadImageFromURL(url) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error("The image could not be decoded."));
+        img.src = url;
+    });
+}
+
+// Repaint the marker pixels of a PNG sprite, keeping their shading
+function renderTintedPNG(sprite, livery) {
+    return loadImageFromURL(sprite.data).then((img) => {
+        const canvas = document.createElement("canvas");
+        canvas.width = img.width;
+        canvas.height = img.height;
+        const ctx = canvas.getContext("2d");
+        ctx.drawImage(img, 0, 0);
+
+        const toRGB = (hex) => [1, 3, 5].map((i) => parseInt(hex.substring(i, i + 2), 16));
+        const primary = toRGB(livery.primary);
+        const secondary = toRGB(livery.secondary);
+        const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const data = image.data;
+        for (let i = 0; i < data.length; i += 4) {
+            const r = data[i];
+            const g = data[i + 1];
+            const b = data[i + 2];
+            const shade = Math.max(r, g, b) / 255;
+            let tint = null;
+            if (r > 150 && b > 150 && g < 90 && Math.abs(r - b) < 60) {
+                tint = primary;
+            } else if (g > 150 && b > 150 && r < 90 && Math.abs(g - b) < 60) {
+                tint = secondary;
+            }
+            if (!tint) continue;
+            data[i] = tint[0] * shade;
+            data[i + 1] = tint[1] * shade;
+            data[i + 2] = tint[2] * shade;
+        }
+        ctx.putImageData(image, 0, 0);
+        return canvas;
+    });
+}
+
+// Bounding box of the visible pixels, as fractions of the image size
+function measureSpriteBounds(img) {
+    const canvas = document.createElement("canvas");
+    canvas.width = img.width;
+    canvas.height = img.height;
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(img, 0, 0);
+    const data = ctx.getImageData(0, 0, img.width, img.height).data;
+
+    let minX = img.width;
+    let minY = img.height;
+    let maxX = -1;
+    let maxY = -1;
+    for (let y = 0; y < img.height; y++) {
+        for (let x = 0; x < img.width; x++) {
+            if (data[(y * img.width + x) * 4 + 3] < 32) continue;
+            minX = Math.min(minX, x);
+            minY = Math.min(minY, y);
+            maxX = Math.max(maxX, x);
+            maxY = Math.max(maxY, y);
+        }
+    }
+    if (maxX < 0) return null;
+    return {
+        w: (maxX - minX + 1) / img.width,
+        h: (maxY - minY + 1) / img.height,
+    };
+}
+
+// Check an SVG or PNG file and turn it into a stored sprite record.
+// Rejects with an Error whose message is shown to the player.
+function importCustomSprite(file) {
+    const isSVG = file.type === "image/svg+xml" || /\.svg$/i.test(file.name);
+    const isPNG = file.type === "image/png" || /\.png$/i.test(file.name);
+    if (!isSVG && !isPNG) {
+        return Promise.reject(new Error("Only SVG and PNG files can be imported."));
+    }
+    if (file.size > CUSTOM_SPRITE_MAX_BYTES) {
+        return Promise.reject(new Error("Sprites must be 200 KB or smaller."));
+    }
+    if (customSprites.length >= CUSTOM_SPRITE_LIMIT) {
+        return Promise.reject(
+            new Error(`You can keep up to ${CUSTOM_SPRITE_LIMIT} custom sprites.`)
+        );
+    }
+
+    const read = new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(new Error("The file could not be read."));
+        if (isSVG) {
+            reader.readAsText(file);
+        } else {
+            reader.readAsDataURL(file);
+        }
+    });
+
+    return read.then((data) => {
+        if (isSVG && !/<svg[\s>]/i.test(data)) {
+            throw new Error("That file doesn't look like an SVG.");
+        }
+        // Rasterise with the default paint to measure the sprite
+        const previewURL = isSVG
+            ? URL.createObjectURL(
+                  new Blob([tintCustomSVG(data, normalizeLivery(PLAYER_COLORS[0]))], {
+                      type: "image/svg+xml",
+                  })
+              )
+            : data;
+
+        return loadImageFromURL(previewURL).then((img) => {
+            if (isSVG) URL.revokeObjectURL(previewURL);
+            const { width, height } = img;
+            if (
+                width < CUSTOM_SPRITE_MIN_SIZE ||
+                height < CUSTOM_SPRITE_MIN_SIZE ||
+                width > CUSTOM_SPRITE_MAX_SIZE ||
+                height > CUSTOM_SPRITE_MAX_SIZE
+            ) {
+                throw new Error(
+                    `Sprites must be between ${CUSTOM_SPRITE_MIN_SIZE} and ${CUSTOM_SPRITE_MAX_SIZE} px on each side.`
+                );
+            }
+            const aspect = width / height;
+            if (aspect < 0.25 || aspect > 1.2) {
+                throw new Error("Draw the vehicle top-down, pointing up (taller than wide).");
+            }
+            const bounds = measureSpriteBounds(img);
+            if (!bounds) {
+                throw new Error("The sprite is completely transparent.");
+            }
+
+            const drawHeight = CUSTOM_SPRITE_HEIGHT;
+            const drawWidth = Math.round(drawHeight * aspect);
+            const sprite = {
+                id: Date.now().toString(36),
+                name: file.name.replace(/\.(svg|png)$/i, "").slice(0, 20),
+                format: isSVG ? "svg" : "png",
+                data,
+                width: drawWidth,
+                height: drawHeight,
+                // Same 0.45 factor as the built-in cars, over the drawn pixels
+                collisionRadius:
+                    Math.max(bounds.w * drawWidth, bounds.h * drawHeight) * 0.45,
+            };
+            if (!saveCustomSprites([...customSprites, sprite])) {
+                throw new Error("Not enough local storage left for this sprite.");
+            }
+            return sprite;
         });
     });
 }
 
+// Handling per vehicle style, relative to the roadster. `topSpeed`,
+// `acceleration`, `grip` (steering traction) and `turnRate` scale the base
+// car; `mass` weights car-to-car collisions and `offRoadPenalty` scales the
+// extra drag off the track. `width`/`height` set the body and hit radius.
+const VEHICLE_STATS = {
+    roadster: {
+        label: "Roadster",
+        topSpeed: 1,
+        acceleration: 1,
+        grip: 1,
+        turnRate: 1,
+        mass: 1,
+        offRoadPenalty: 1,
+        width: 23,
+        height: 43,
+    },
+    formula: {
+        label: "Formula",
+        topSpeed: 1.01,
+        acceleration: 1.05,
+        grip: 1.1,
+        turnRate: 1.03,
+        mass: 0.85,
+        offRoadPenalty: 1.4,
+        width: 22,
+        height: 44,
+    },
+    buggy: {
+        label: "Buggy",
+        topSpeed: 0.97,
+        acceleration: 1.05,
+        grip: 0.92,
+        turnRate: 1,
+        mass: 1.1,
+        offRoadPenalty: 0.45,
+        width: 24,
+        height: 41,
+    },
+    soapboat: {
+        label: "Soap Boat",
+        topSpeed: 1,
+        acceleration: 0.95,
+        grip: 0.85,
+        turnRate: 0.95,
+        mass: 0.95,
+        offRoadPenalty: 1.2,
+        width: 24,
+        height: 44,
+    },
+    compact: {
+        label: "Compact",
+        topSpeed: 0.97,
+        acceleration: 1.12,
+        grip: 1.05,
+        turnRate: 1.08,
+        mass: 0.75,
+        offRoadPenalty: 1.1,
+        width: 22,
+        height: 39,
+    },
+    truck: {
+        label: "Truck",
+        topSpeed: 1.01,
+        acceleration: 0.95,
+        grip: 0.95,
+        turnRate: 0.97,
+        mass: 1.8,
+        offRoadPenalty: 0.8,
+        width: 24,
+        height: 45,
+    },
+};
+
+function getVehicleStats(shape) {
+    return VEHICLE_STATS[shape] || VEHICLE_STATS.roadster;
+}
 
 class Car {
     constructor(
@@ -643,24 +1507,45 @@ class Car {
         style = {}
     ) {
         const speedScale = 0.5;
+        const stats = getVehicleStats(style.shape);
+        this.stats = stats;
         this.x = x;
         this.y = y;
-        this.width = 23;
-        this.height = 43;
+        // Imported sprites bring their own size and hit radius
+        this.width = style.width || stats.width;
+        this.height = style.height || stats.height;
+        this.collisionRadius =
+            style.collisionRadius || Math.max(this.width, this.height) * 0.45;
         this.speed = 0;
-        this.maxSpeedAsphalt = 300 * speedScale; // Fast for arcade feel
+        this.maxSpeedAsphalt = 300 * speedScale * stats.topSpeed; // Fast for arcade feel
         this.tiresOnTrackRatio = 1.0;
-        this.acceleration = 0.6 * speedScale;
+        this.acceleration = 0.6 * speedScale * stats.acceleration;
         this.deceleration = 0.3 * speedScale;
+        // Pick asphalt drag so full throttle cruises at the base speed
+        // (5.7 px/frame) scaled by the vehicle's top speed
+        const cruiseSpeed = 5.7 * stats.topSpeed;
+        this.asphaltFriction = cruiseSpeed / (cruiseSpeed + this.acceleration);
+        this.grassFriction = 1 - 0.18 * stats.offRoadPenalty;
+        this.grip = stats.grip;
+        this.mass = stats.mass;
+        // Blended handling of any surface zones under the tires
+        this.surface = { friction: 1, traction: 1, topSpeed: 1, coverage: 0 };
         this.onGrass = false;
         this.turnSpeed = 0;
-        this.maxTurnSpeed = 4;
+        this.maxTurnSpeed = 4 * stats.turnRate;
         this.steerInput = 0;
         this.angle = startAngle;
         this.color = color;
+        // Garage livery (see normalizeLivery); null is a plain paint job
+        this.livery = null;
         this.playerIndex = playerIndex;
         this.style = style;
 
+        // Computer-controlled cars get an AIDriver from the Game
+        this.isAI = false;
+        this.aiIndex = null;
+        this.ai = null;
+
         // Engine/RPM system for sound (not visible gears, just sound)
         this.rpm = 800;
         this.idleRPM = 800;
@@ -668,13 +1553,62 @@ class Car {
 
         // Lap tracking
         this.lap = 0;
-        this.crossedCheckpoint = false;
-        this.crossedFinishLine = false;
+        // Index into Track.gates of the next gate this lap must cross
+        this.nextGate = 0;
+        // Lap time at each gate crossed so far this lap
+        this.splits = [];
+        // Sectors that can't count towards the best sectors: the whole
+        // opening lap from a grid slot ahead of the line, and the sector
+        // in progress when a respawn moved the car
+        this.partialLap = false;
+        this.sectorRespawned = false;
+        this.splitMessage = "";
+        this.splitColor = "#ffffff";
+        this.splitMessageEndTime = 0;
+        this.prevX = x;
+        this.prevY = y;
         this.lapStartTime = Date.now();
+
+        // Continuous position along the track, in laps (see Game.updateTrackProgress)
+        this.trackT = 0;
+        this.trackDistance = 0;
+        this.trackProgress = 0;
+        this.points = 0;
+        this.position = playerIndex + 1;
+        // Time each timing mark was reached, for gaps between cars
+        this.progressStamps = [];
+        this.lastProgressMark = 0;
+
+        // Set once the car completes the race distance
+        this.finished = false;
+        this.finishTime = null;
+        this.finishPosition = null;
         this.currentLapTime = 0;
         this.bestLapTime = null;
         this.slipstreamEndTime = 0;
 
+        // Off-track recovery and wrong-way detection (see Game.updateRecovery)
+        this.lastOnTrackT = 0;
+        this.strayStartTime = null;
+        this.wrongWayStartTime = null;
+        this.wrongWay = false;
+        this.invulnerableUntil = 0;
+        this.respawnHeld = false;
+        this.restartLapHeld = false;
+
+        // Pickups (see Game.updateItems)
+        this.item = null;
+        this.itemPickupTime = 0;
+        this.useItemHeld = false;
+        this.boostEndTime = 0;
+        this.shieldEndTime = 0;
+        this.spinEndTime = 0;
+
+        // Sideways shove from moving hazards, decays on its own
+        this.knockX = 0;
+        this.knockY = 0;
+        this.hazardHitUntil = 0;
+
         // HUD + effects
         this.hudMessage = "";
         this.hudMessageEndTime = 0;
@@ -693,23 +1627,61 @@ class Car {
     }
 
     getCollisionRadius() {
-        return Math.max(this.width, this.height) * 0.45;
+        return this.collisionRadius;
     }
 
-    update(dtScale) {
-        this.x += Math.cos(this.angle - Math.PI / 2) * this.speed * dtScale;
-        this.y += Math.sin(this.angle - Math.PI / 2) * this.speed * dtScale;
+    // Speed at which asphalt friction cancels out full throttle
+    getCruiseSpeed() {
+        return (this.acceleration * this.asphaltFriction) / (1 - this.asphaltFriction);
+    }
 
-        const grassFriction = 0.82;
-        const asphaltFriction = 0.95;
-        const frictionBlend =
-            asphaltFriction * this.tiresOnTrackRatio +
-            grassFriction * (1.0 - this.tiresOnTrackRatio);
-        this.speed *= Math.pow(frictionBlend, dtScale);
+    isInvulnerable(now) {
+        return now < this.invulnerableUntil;
+    }
 
-        const speedRatio = this.getSpeedRatio();
+    getDisplayName() {
+        return this.isAI
+            ? `CPU ${this.aiIndex + 1}`
+            : `Player ${this.playerIndex + 1}`;
+    }
+
+    update(dtScale, now = Date.now()) {
+        this.x += Math.cos(this.angle - Math.PI / 2) * this.speed * dtScale;
+        this.y += Math.sin(this.angle - Math.PI / 2) * this.speed * dtScale;
+        if (this.knockX || this.knockY) {
+            this.x += this.knockX * dtScale;
+            this.y += this.knockY * dtScale;
+            const knockDecay = Math.pow(0.85, dtScale);
+            this.knockX *= knockDecay;
+            this.knockY *= knockDecay;
+            if (Math.hypot(this.knockX, this.knockY) < 0.05) {
+                this.knockX = 0;
+                this.knockY = 0;
+            }
+        }
+
+        const frictionBlend =
+            this.asphaltFriction * this.tiresOnTrackRatio +
+            this.grassFriction * (1.0 - this.tiresOnTrackRatio);
+        const drag = (1 - frictionBlend) * this.surface.friction;
+        this.speed *= Math.pow(1 - drag, dtScale);
+
+        // Surface zones ease the car towards their own top speed
+        if (this.surface.coverage > 0) {
+            const surfaceMax = this.getCruiseSpeed() * this.surface.topSpeed;
+            if (Math.abs(this.speed) > surfaceMax) {
+                const excess = Math.abs(this.speed) - surfaceMax;
+                this.speed -=
+                    Math.sign(this.speed) * excess * (1 - Math.pow(0.6, dtScale));
+            }
+        }
+
+        const speedRatio = this.getSpeedRatio();
         const steerFactor = Math.max(0.6, 1.2 - speedRatio * 0.6);
-        const tractionFactor = 0.6 + 0.4 * this.tiresOnTrackRatio;
+        const tractionFactor =
+            (0.6 + 0.4 * this.tiresOnTrackRatio) *
+            this.surface.traction *
+            this.grip;
         const targetTurn =
             this.steerInput * this.maxTurnSpeed * steerFactor * tractionFactor;
         const turnLerp = 1 - Math.pow(1 - 0.25, dtScale);
@@ -719,7 +1691,7 @@ class Car {
         const turnScale = 0.35 + speedRatio * 0.75;
         this.angle += this.turnSpeed * 0.02 * direction * turnScale * dtScale;
 
-        this.currentLapTime = Date.now() - this.lapStartTime;
+        this.currentLapTime = now - this.lapStartTime;
     }
 
     getCurrentMaxSpeed() {
@@ -727,16 +1699,23 @@ class Car {
         return this.maxSpeedAsphalt * (1.0 - speedReduction);
     }
 
-    draw(ctx) {
+    draw(ctx, now = Date.now()) {
         ctx.save();
         ctx.translate(this.x, this.y);
         ctx.rotate(this.angle);
+        if (this.finished) {
+            ctx.globalAlpha *= 0.6;
+        }
+        // Blink while invulnerable after a respawn
+        if (this.isInvulnerable(now) && Math.floor(now / 100) % 2 === 0) {
+            ctx.globalAlpha *= 0.25;
+        }
         
         const shape = this.style.shape || "roadster";
         
         // Try to use SVG image if loaded
-        if (CarImages.loaded && CarImages[shape] && CarImages[shape][this.color]) {
-            const img = CarImages[shape][this.color];
+        const img = getCarImage(shape, this.livery || this.color);
+        if (img) {
             // Draw centered and scaled appropriately
             ctx.drawImage(
                 img,
@@ -956,11 +1935,29 @@ class Car {
     }
 }
 
+// Sector gates per built-in track as spline t values, in the order cars
+// reach them (races run toward decreasing t). The finish line at t = 0 is
+// appended as the last gate, so a track has one more sector than listed.
+const TRACK_SECTOR_GATES = [
+    [0.75, 0.5, 0.25],
+    [0.75, 0.45, 0.18],
+    [0.72, 0.48, 0.24],
+    [0.8, 0.6, 0.4, 0.2],
+    [0.76, 0.52, 0.26],
+    [0.82, 0.64, 0.45, 0.22],
+    [0.8, 0.66, 0.36, 0.18],
+    [0.74, 0.46, 0.2],
+    [0.8, 0.56, 0.3],
+    [0.77, 0.5, 0.24],
+];
+
 class Track {
-    constructor(trackIndex = 0) {
-        this.width = 120;
+    // A layout ({ points, width, theme, gates }) replaces the generated
+    // spline, e.g. a track drawn in the editor
+    constructor(trackIndex = 0, layout = null) {
+        this.width = layout ? layout.width : 120;
         this.points = [];
-        this.trackIndex = trackIndex;
+        this.trackIndex = layout ? layout.theme : trackIndex;
 
         // 10 track names matching household themes from PRD
         this.trackNames = [
@@ -976,6 +1973,20 @@ class Track {
             "Dinner Plate",
         ];
 
+        // The corner feature each built-in track bends into its loop
+        this.featureLayouts = [
+            { type: "chicane", start: 6 },
+            { type: "hairpin", start: 7 },
+            { type: "kink", start: 8 },
+            { type: "esses", start: 9 },
+            { type: "carousel", start: 13 },
+            { type: "slalom", start: 7 },
+            { type: "switchback", start: 12 },
+            { type: "sweeper", start: 15 },
+            { type: "busStop", start: 10 },
+            { type: "dogleg", start: 14 },
+        ];
+
         this.themes = [
             {
                 name: "Breakfast Table",
@@ -1003,6 +2014,18 @@ class Track {
                 },
                 checkpoint: "#ffcc00",
                 vehicle: { shape: "formula" },
+                obstacles: [
+                    { kind: "cereal", shape: "circle", t: 0.9, offset: 52, radius: 8, color: "#f4a340" },
+                    { kind: "cereal", shape: "circle", t: 0.86, offset: -52, radius: 8, color: "#e0662e" },
+                    { kind: "cereal", shape: "circle", t: 0.41, offset: 52, radius: 8, color: "#f4a340" },
+                    { kind: "sugar", shape: "box", t: 0.7, offset: 100, w: 24, h: 24, angle: 0.4, color: "#fafafa" },
+                    { kind: "jug", shape: "circle", t: 0.52, offset: -120, radius: 34, color: "#f2f2f2" },
+                    { kind: "cereal", shape: "circle", t: 0.22, offset: -52, radius: 8, color: "#e0662e" },
+                ],
+                surfaces: [
+                    { type: "milk", shape: "ellipse", t: 0.62, offset: 0, w: 130, h: 80, angle: 0.3 },
+                    { type: "boost", shape: "box", t: 0.33, offset: 0, w: 70, h: 44, angle: 0 },
+                ],
             },
             {
                 name: "Pool Table",
@@ -1029,6 +2052,17 @@ class Track {
                 },
                 checkpoint: "#f4c95d",
                 vehicle: { shape: "formula" },
+                obstacles: [
+                    { kind: "ball", shape: "circle", t: 0.88, offset: -54, radius: 8, color: "#f2c12e", number: 1 },
+                    { kind: "ball", shape: "circle", t: 0.72, offset: 54, radius: 8, color: "#2b59c3", number: 2 },
+                    { kind: "ball", shape: "circle", t: 0.46, offset: -54, radius: 8, color: "#c0392b", number: 3 },
+                    { kind: "ball", shape: "circle", t: 0.08, offset: 54, radius: 8, color: "#111111", number: 8 },
+                    { kind: "chalk", shape: "box", t: 0.56, offset: 105, w: 22, h: 22, angle: 0.2, color: "#3aa0d8" },
+                    { kind: "ball", shape: "circle", t: 0.3, offset: -115, radius: 16, color: "#f5f2e8", number: 0 },
+                ],
+                surfaces: [
+                    { type: "boost", shape: "box", t: 0.74, offset: 0, w: 70, h: 44, angle: 0 },
+                ],
             },
             {
                 name: "Office Desk",
@@ -1055,6 +2089,13 @@ class Track {
                 },
                 checkpoint: "#ffcc66",
                 vehicle: { shape: "compact" },
+                obstacles: [
+                    { kind: "pencil", shape: "box", t: 0.84, offset: 105, w: 110, h: 10, angle: 0.1, color: "#f7c948" },
+                    { kind: "pencil", shape: "box", t: 0.35, offset: -105, w: 110, h: 10, angle: -0.15, color: "#f7c948" },
+                    { kind: "eraser", shape: "box", t: 0.66, offset: 54, w: 14, h: 24, angle: 0, color: "#ff8fa3" },
+                    { kind: "eraser", shape: "box", t: 0.18, offset: -54, w: 14, h: 24, angle: 0, color: "#ff8fa3" },
+                    { kind: "clip", shape: "box", t: 0.5, offset: 52, w: 8, h: 20, angle: 0.3, color: "#b8c2cc" },
+                ],
             },
             {
                 name: "Garden Path",
@@ -1081,6 +2122,17 @@ class Track {
                 },
                 checkpoint: "#ffe082",
                 vehicle: { shape: "buggy" },
+                obstacles: [
+                    { kind: "stone", shape: "circle", t: 0.88, offset: 54, radius: 8, color: "#8d8a85" },
+                    { kind: "stone", shape: "circle", t: 0.64, offset: -54, radius: 8, color: "#7b7873" },
+                    { kind: "pot", shape: "circle", t: 0.48, offset: 120, radius: 28, color: "#c46a3c" },
+                    { kind: "stone", shape: "circle", t: 0.3, offset: 54, radius: 8, color: "#8d8a85" },
+                    { kind: "pot", shape: "circle", t: 0.16, offset: -120, radius: 28, color: "#c46a3c" },
+                ],
+                surfaces: [
+                    { type: "mud", shape: "ellipse", t: 0.55, offset: 10, w: 150, h: 100, angle: 0.2 },
+                    { type: "mud", shape: "ellipse", t: 0.18, offset: 30, w: 100, h: 70, angle: -0.4 },
+                ],
             },
             {
                 name: "Bathtub Ring",
@@ -1107,6 +2159,20 @@ class Track {
                 },
                 checkpoint: "#ffe17a",
                 vehicle: { shape: "soapboat" },
+                obstacles: [
+                    { kind: "duck", shape: "circle", t: 0.82, offset: 115, radius: 22, color: "#ffd43b" },
+                    { kind: "soap", shape: "box", t: 0.6, offset: -54, w: 14, h: 26, angle: 0, color: "#ffb3d9" },
+                    { kind: "soap", shape: "box", t: 0.34, offset: 54, w: 14, h: 26, angle: 0, color: "#b3e5ff" },
+                    { kind: "duck", shape: "circle", t: 0.2, offset: -115, radius: 22, color: "#ffd43b" },
+                ],
+                hazards: [
+                    { kind: "bubble", motion: "drift", t: 0.72, span: 130, period: 6500, phase: 0, radius: 16 },
+                    { kind: "bubble", motion: "drift", t: 0.46, span: 130, period: 7500, phase: 0.5, radius: 20 },
+                    { kind: "bubble", motion: "drift", t: 0.1, span: 130, period: 5500, phase: 0.25, radius: 14 },
+                ],
+                surfaces: [
+                    { type: "soap", shape: "ellipse", t: 0.58, offset: 0, w: 170, h: 110, angle: 0 },
+                ],
             },
             {
                 name: "Bookshelf Slalom",
@@ -1133,6 +2199,12 @@ class Track {
                 },
                 checkpoint: "#ffd66e",
                 vehicle: { shape: "truck" },
+                obstacles: [
+                    { kind: "book", shape: "box", t: 0.86, offset: 110, w: 70, h: 22, angle: 0.05, color: "#8e3b46" },
+                    { kind: "book", shape: "box", t: 0.52, offset: -110, w: 70, h: 22, angle: -0.08, color: "#2e5e4e" },
+                    { kind: "bookmark", shape: "box", t: 0.68, offset: 54, w: 8, h: 26, angle: 0, color: "#d4a017" },
+                    { kind: "bookmark", shape: "box", t: 0.14, offset: -54, w: 8, h: 26, angle: 0, color: "#d4a017" },
+                ],
             },
             {
                 name: "Treehouse",
@@ -1159,6 +2231,15 @@ class Track {
                 },
                 checkpoint: "#ffe08c",
                 vehicle: { shape: "truck" },
+                obstacles: [
+                    { kind: "acorn", shape: "circle", t: 0.9, offset: -54, radius: 8, color: "#8b5a2b" },
+                    { kind: "twig", shape: "box", t: 0.72, offset: 110, w: 90, h: 8, angle: 0.3, color: "#6b4423" },
+                    { kind: "acorn", shape: "circle", t: 0.28, offset: 54, radius: 8, color: "#8b5a2b" },
+                    { kind: "twig", shape: "box", t: 0.1, offset: -110, w: 90, h: 8, angle: -0.25, color: "#6b4423" },
+                ],
+                surfaces: [
+                    { type: "mud", shape: "ellipse", t: 0.4, offset: -15, w: 130, h: 90, angle: 0.5 },
+                ],
             },
             {
                 name: "Toy Box",
@@ -1185,6 +2266,19 @@ class Track {
                 },
                 checkpoint: "#fff1a1",
                 vehicle: { shape: "compact" },
+                obstacles: [
+                    { kind: "block", shape: "box", t: 0.88, offset: 54, w: 16, h: 16, angle: 0.2, color: "#e63946", letter: "A" },
+                    { kind: "block", shape: "box", t: 0.76, offset: -54, w: 16, h: 16, angle: -0.3, color: "#457b9d", letter: "B" },
+                    { kind: "block", shape: "box", t: 0.4, offset: 54, w: 16, h: 16, angle: 0.5, color: "#2a9d8f", letter: "C" },
+                    { kind: "drum", shape: "circle", t: 0.56, offset: -120, radius: 30, color: "#e9c46a" },
+                ],
+                hazards: [
+                    { kind: "marble", motion: "cross", t: 0.62, span: 100, period: 3400, phase: 0, radius: 13, color: "#5fa8ff" },
+                    { kind: "marble", motion: "cross", t: 0.2, span: 100, period: 4200, phase: 0.3, radius: 13, color: "#ff6f91" },
+                ],
+                surfaces: [
+                    { type: "boost", shape: "box", t: 0.45, offset: 0, w: 70, h: 44, angle: 0 },
+                ],
             },
             {
                 name: "Kitchen Counter",
@@ -1211,6 +2305,20 @@ class Track {
                 },
                 checkpoint: "#ffdd77",
                 vehicle: { shape: "roadster" },
+                obstacles: [
+                    { kind: "shaker", shape: "circle", t: 0.86, offset: -115, radius: 20, color: "#eeeeee" },
+                    { kind: "sponge", shape: "box", t: 0.66, offset: 54, w: 14, h: 26, angle: 0, color: "#f4d35e" },
+                    { kind: "shaker", shape: "circle", t: 0.44, offset: 115, radius: 20, color: "#333333" },
+                    { kind: "crumb", shape: "circle", t: 0.24, offset: -54, radius: 7, color: "#c9a66b" },
+                ],
+                hazards: [
+                    { kind: "spoon", motion: "swing", t: 0.54, offset: 135, length: 140, amplitude: 0.8, period: 3800, phase: 0, radius: 16, color: "#c8ced6" },
+                    { kind: "spoon", motion: "swing", t: 0.12, offset: -135, length: 140, amplitude: 0.8, period: 4400, phase: 0.4, radius: 16, color: "#c8ced6" },
+                ],
+                surfaces: [
+                    { type: "milk", shape: "ellipse", t: 0.32, offset: -10, w: 150, h: 100, angle: -0.3 },
+                    { type: "boost", shape: "box", t: 0.75, offset: 0, w: 70, h: 44, angle: 0 },
+                ],
             },
             {
                 name: "Dinner Plate",
@@ -1237,19 +2345,70 @@ class Track {
                 },
                 checkpoint: "#ffe7a1",
                 vehicle: { shape: "formula" },
+                obstacles: [
+                    { kind: "pea", shape: "circle", t: 0.9, offset: 54, radius: 7, color: "#6abf4b" },
+                    { kind: "pea", shape: "circle", t: 0.7, offset: -54, radius: 7, color: "#6abf4b" },
+                    { kind: "fork", shape: "box", t: 0.52, offset: 115, w: 120, h: 12, angle: 0.1, color: "#c0c6cc" },
+                    { kind: "pea", shape: "circle", t: 0.32, offset: 54, radius: 7, color: "#5aa83d" },
+                    { kind: "pea", shape: "circle", t: 0.06, offset: -54, radius: 7, color: "#6abf4b" },
+                ],
             },
         ];
 
-        this.generateTrack();
+        // Track files can name the track, restyle the theme and bring
+        // their own props in place of the theme's
+        this.extras = {};
+        if (layout) {
+            ["name", "themeOverrides", "obstacles", "hazards", "surfaces"].forEach((key) => {
+                if (layout[key] !== undefined) this.extras[key] = layout[key];
+            });
+        }
+        this.customTheme = this.extras.themeOverrides
+            ? applyThemeOverrides(
+                  this.themes[this.trackIndex % this.themes.length],
+                  this.extras.themeOverrides
+              )
+            : null;
+
+        if (layout) {
+            this.points = layout.points.map((point) => ({ x: point.x, y: point.y }));
+            this.points.push({ x: this.points[0].x, y: this.points[0].y });
+        } else {
+            this.generateTrack();
+        }
+        this.buildLookup();
+        this.gates = this.buildGates(
+            layout
+                ? layout.gates
+                : TRACK_SECTOR_GATES[trackIndex % TRACK_SECTOR_GATES.length]
+        );
+        const theme = this.getTheme();
+        this.obstacles = this.placeObstacles(this.extras.obstacles || theme.obstacles || []);
+        this.hazards = this.placeObstacles(this.extras.hazards || theme.hazards || []);
+        this.surfaces = this.placeObstacles(this.extras.surfaces || theme.surfaces || []);
     }
 
     getTheme() {
-        return this.themes[this.trackIndex % this.themes.length];
+        return this.customTheme || this.themes[this.trackIndex % this.themes.length];
     }
 
-    generateTrack() {
-        // Different seed for each track for variety
-        const seed = 42 + this.trackIndex * 1337;
+    // Editable description of this track (the closing point is implied)
+    getLayout() {
+        return {
+            ...this.extras,
+            points: this.points.slice(0, -1).map((point) => ({ x: point.x, y: point.y })),
+            width: this.width,
+            theme: this.trackIndex % this.themes.length,
+            gates: this.gates.slice(0, -1).map((gate) => gate.t),
+        };
+    }
+
+    // Built from a seed (different for each track for variety) plus corner
+    // features bent into the loop
+    generateTrack(
+        seed = 42 + this.trackIndex * 1337,
+        features = [this.featureLayouts[this.trackIndex % this.featureLayouts.length]]
+    ) {
         const seededRandom = (i) => {
             const x = Math.sin(seed + i * 9999) * 10000;
             return x - Math.floor(x);
@@ -1303,95 +2462,12 @@ class Track {
             this.points[index].y += normalY * offset;
         };
 
-        const applyFeature = () => {
-            const feature = this.trackIndex % 10;
-            switch (feature) {
-                case 0: {
-                    // Chicane: quick left-right S
-                    const start = 6;
-                    [180, -180, 140, -140].forEach((offset, i) =>
-                        applyLateralOffset(start + i, offset)
-                    );
-                    break;
-                }
-                case 1: {
-                    // Hairpin: tight, sharp turn
-                    const start = 7;
-                    [-260, -340, -260].forEach((offset, i) =>
-                        applyLateralOffset(start + i, offset)
-                    );
-                    break;
-                }
-                case 2: {
-                    // Kink: subtle jog on a straight
-                    const start = 8;
-                    [120, -80].forEach((offset, i) =>
-                        applyLateralOffset(start + i, offset)
-                    );
-                    break;
-                }
-                case 3: {
-                    // Esses: flowing S curve
-                    const start = 9;
-                    [140, 100, -120, -160].forEach((offset, i) =>
-                        applyLateralOffset(start + i, offset)
-                    );
-                    break;
-                }
-                case 4: {
-                    // Carousel: long, tightening curve
-                    const start = 13;
-                    [120, 180, 220, 180, 120].forEach((offset, i) =>
-                        applyLateralOffset(start + i, offset)
-                    );
-                    break;
-                }
-                case 5: {
-                    // Slalom: repeated quick direction changes
-                    const start = 7;
-                    [140, -140, 140, -140, 120, -120].forEach((offset, i) =>
-                        applyLateralOffset(start + i, offset)
-                    );
-                    break;
-                }
-                case 6: {
-                    // Switchback: double hairpin feel
-                    const start = 12;
-                    [-220, -300, -220, 220, 300, 220].forEach((offset, i) =>
-                        applyLateralOffset(start + i, offset)
-                    );
-                    break;
-                }
-                case 7: {
-                    // Sweeper: big, fast arc
-                    const start = 15;
-                    [120, 160, 200, 220, 200, 160, 120].forEach((offset, i) =>
-                        applyLateralOffset(start + i, offset)
-                    );
-                    break;
-                }
-                case 8: {
-                    // Bus stop chicane: sharper, closer offsets
-                    const start = 10;
-                    [200, -220, 200].forEach((offset, i) =>
-                        applyLateralOffset(start + i, offset)
-                    );
-                    break;
-                }
-                case 9: {
-                    // Dogleg + pinch: small offset then tighter bend
-                    const start = 14;
-                    [120, 180, 240].forEach((offset, i) =>
-                        applyLateralOffset(start + i, offset)
-                    );
-                    break;
-                }
-                default:
-                    break;
-            }
-        };
-
-        applyFeature();
+        features.forEach(({ type, start, mirror }) => {
+            const sign = mirror ? -1 : 1;
+            TRACK_FEATURES[type].offsets.forEach((offset, i) =>
+                applyLateralOffset(start + i, offset * sign)
+            );
+        });
 
         // Close the loop with the exact first point for seamless connection
         this.points.push({ x: this.points[0].x, y: this.points[0].y });
@@ -1490,27 +2566,319 @@ class Track {
         return Math.atan2(dy, dx);
     }
 
-    // Check if a point is on the track using distance calculation (more reliable than pixel sampling)
-    isPointOnTrack(x, y) {
-        // Sample the track at many points and find minimum distance to center line
-        const samples = 100;
-        let minDistance = Infinity;
+    measureLength(samples = 400) {
+        let length = 0;
+        let prev = this.getTrackPoint(0);
+        for (let i = 1; i <= samples; i++) {
+            const point = this.getTrackPoint(i / samples);
+            length += Math.hypot(point.x - prev.x, point.y - prev.y);
+            prev = point;
+        }
+        return length;
+    }
 
-        for (let i = 0; i < samples; i++) {
-            const t = i / samples;
-            const point = this.getTrackPoint(t);
-            const dist = Math.sqrt((x - point.x) ** 2 + (y - point.y) ** 2);
-            if (dist < minDistance) {
-                minDistance = dist;
+    // The centre line as a fine polyline with the t and arc length at each
+    // vertex, plus a grid of cells each listing the segments that pass
+    // within a track width of it. On-track tests, distances to the centre
+    // line and nearest-t searches all read from this instead of evaluating
+    // the curve.
+    buildLookup() {
+        const count = Math.max(
+            400,
+            Math.ceil(this.measureLength() / TRACK_LOOKUP_SPACING)
+        );
+        const vertices = [];
+        let distance = 0;
+        for (let i = 0; i <= count; i++) {
+            const point = this.getTrackPoint((i / count) % 1);
+            if (i > 0) {
+                const prev = vertices[i - 1];
+                distance += Math.hypot(point.x - prev.x, point.y - prev.y);
+            }
+            vertices.push({ x: point.x, y: point.y, t: i / count, s: distance });
+        }
+
+        // Cells are a track width across and every segment is listed in the
+        // cells within a width of it, so one cell holds every segment close
+        // enough to matter for a point inside it
+        const reach = this.width;
+        // A long track has too many vertices to spread into Math.min/max
+        const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        for (const vertex of vertices) {
+            bounds.minX = Math.min(bounds.minX, vertex.x);
+            bounds.minY = Math.min(bounds.minY, vertex.y);
+            bounds.maxX = Math.max(bounds.maxX, vertex.x);
+            bounds.maxY = Math.max(bounds.maxY, vertex.y);
+        }
+        const minX = bounds.minX - reach;
+        const minY = bounds.minY - reach;
+        const cols = Math.floor((bounds.maxX + reach - minX) / reach) + 1;
+        const rows = Math.floor((bounds.maxY + reach - minY) / reach) + 1;
+        const cells = Array.from({ length: cols * rows }, () => []);
+        for (let i = 0; i < count; i++) {
+            const a = vertices[i];
+            const b = vertices[i + 1];
+            const fromCol = Math.floor((Math.min(a.x, b.x) - reach - minX) / reach);
+            const toCol = Math.floor((Math.max(a.x, b.x) + reach - minX) / reach);
+            const fromRow = Math.floor((Math.min(a.y, b.y) - reach - minY) / reach);
+            const toRow = Math.floor((Math.max(a.y, b.y) + reach - minY) / reach);
+            for (let row = fromRow; row <= toRow; row++) {
+                for (let col = fromCol; col <= toCol; col++) {
+                    cells[row * cols + col].push(i);
+                }
             }
         }
 
-        // Car is on track if within half the track width from center line
-        return minDistance < this.width / 2;
+        this.lookup = { vertices, count, reach, minX, minY, cols, rows, cells };
+        this.length = distance;
     }
 
-    // Check what percentage of the car's tires are on track
-    checkCarOnTrack(car) {
+    // Segments of the lookup polyline near a point (empty well off the track)
+    getLookupCell(x, y) {
+        const { reach, minX, minY, cols, rows, cells } = this.lookup;
+        const col = Math.floor((x - minX) / reach);
+        const row = Math.floor((y - minY) / reach);
+        if (col < 0 || row < 0 || col >= cols || row >= rows) return [];
+        return cells[row * cols + col];
+    }
+
+    // How far along lookup segment i (0 to 1) the point closest to (x, y) is
+    getSegmentU(i, x, y) {
+        const a = this.lookup.vertices[i];
+        const b = this.lookup.vertices[i + 1];
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSq = dx * dx + dy * dy;
+        if (lengthSq === 0) return 0;
+        return Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / lengthSq));
+    }
+
+    getSegmentDistanceSq(i, x, y) {
+        const a = this.lookup.vertices[i];
+        const b = this.lookup.vertices[i + 1];
+        const u = this.getSegmentU(i, x, y);
+        return (a.x + (b.x - a.x) * u - x) ** 2 + (a.y + (b.y - a.y) * u - y) ** 2;
+    }
+
+    // Distance along the centre line from t = 0 to t
+    getDistanceAt(t) {
+        const { vertices, count } = this.lookup;
+        const position = (((t % 1) + 1) % 1) * count;
+        const i = Math.min(count - 1, Math.floor(position));
+        return vertices[i].s + (vertices[i + 1].s - vertices[i].s) * (position - i);
+    }
+
+    // The t a given distance along the centre line from t = 0
+    getTAtDistance(distance) {
+        const { vertices, count } = this.lookup;
+        const s = ((distance % this.length) + this.length) % this.length;
+        let low = 0;
+        let high = count - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (vertices[mid].s <= s) low = mid;
+            else high = mid - 1;
+        }
+        const a = vertices[low];
+        const b = vertices[low + 1];
+        const u = b.s > a.s ? (s - a.s) / (b.s - a.s) : 0;
+        return (a.t + (b.t - a.t) * u) % 1;
+    }
+
+    // Cars race towards decreasing t (the grid faces getTrackDirection + PI),
+    // so moving forward along the track by a distance steps t backwards.
+    advanceT(t, distance) {
+        return this.getTAtDistance(this.getDistanceAt(t) - distance);
+    }
+
+    // Signed distance in laps going from one t to another in the racing direction
+    getProgressDelta(fromT, toT) {
+        const delta = fromT - toT;
+        return delta - Math.round(delta);
+    }
+
+    // Nearest point on the centre line to a world position, as its t and
+    // distance. Passing the previous t as a hint keeps the search local, so
+    // a car never snaps to a neighbouring stretch of track that happens to
+    // run close by.
+    findNearest(x, y, hintT = null) {
+        const { vertices, count, reach } = this.lookup;
+        let bestIndex = 0;
+        let bestDistSq = Infinity;
+        const test = (i) => {
+            const distSq = this.getSegmentDistanceSq(i, x, y);
+            if (distSq < bestDistSq) {
+                bestDistSq = distSq;
+                bestIndex = i;
+            }
+        };
+        const result = () => {
+            const a = vertices[bestIndex];
+            const b = vertices[bestIndex + 1];
+            const u = this.getSegmentU(bestIndex, x, y);
+            return { t: (a.t + (b.t - a.t) * u) % 1, distance: Math.sqrt(bestDistSq) };
+        };
+
+        if (hintT !== null) {
+            const from = Math.floor((hintT - 0.04) * count);
+            const span = Math.ceil(0.08 * count);
+            const inWindow = (i) => (((i - from) % count) + count) % count <= span;
+
+            // Usually the point's cell settles it; only a car far off the
+            // line needs the whole stretch around the hint
+            for (const i of this.getLookupCell(x, y)) {
+                if (inWindow(i)) test(i);
+            }
+            if (bestDistSq <= reach * reach) return result();
+            for (let k = 0; k <= span; k++) {
+                test((((from + k) % count) + count) % count);
+            }
+            // Lost the car (e.g. knocked far off line), fall back to a full search
+            if (bestDistSq <= (this.width * 2) ** 2) return result();
+            bestDistSq = Infinity;
+        }
+
+        // Anything within reach of the point is listed in its cell; further
+        // out, check the whole polyline
+        this.getLookupCell(x, y).forEach(test);
+        if (bestDistSq > reach * reach) {
+            for (let i = 0; i < count; i++) test(i);
+        }
+        return result();
+    }
+
+    getClosestT(x, y, hintT = null) {
+        return this.findNearest(x, y, hintT).t;
+    }
+
+    // Theme obstacles are given as a track t plus a sideways offset from the
+    // centre line; work out where they sit in the world
+    placeObstacles(definitions) {
+        return definitions.map((definition) => {
+            const point = this.getTrackPoint(definition.t);
+            const direction = this.getTrackDirection(definition.t);
+            const across = direction + Math.PI / 2;
+            return {
+                ...definition,
+                x: point.x + Math.cos(across) * (definition.offset || 0),
+                y: point.y + Math.sin(across) * (definition.offset || 0),
+                angle: direction + (definition.angle || 0),
+            };
+        });
+    }
+
+    // Where a moving hazard is at a given time (see Game.getHazardTime).
+    // Motion is a pure function of that time, so the same clock always
+    // gives the same pattern. Returns the collision circles making up the
+    // hazard.
+    getHazardShapes(hazard, time) {
+        const cycle = time / hazard.period + (hazard.phase || 0);
+        const acrossX = Math.cos(hazard.angle + Math.PI / 2);
+        const acrossY = Math.sin(hazard.angle + Math.PI / 2);
+
+        if (hazard.motion === "cross") {
+            // Rolls from one verge to the other and back
+            const offset = Math.sin(cycle * Math.PI * 2) * hazard.span;
+            return [
+                {
+                    x: hazard.x + acrossX * offset,
+                    y: hazard.y + acrossY * offset,
+                    radius: hazard.radius,
+                },
+            ];
+        }
+
+        if (hazard.motion === "drift") {
+            // Floats across in one direction, wobbling along the track
+            const progress = cycle - Math.floor(cycle);
+            const offset = (progress * 2 - 1) * hazard.span;
+            const wobble = Math.sin(cycle * Math.PI * 6) * 18;
+            const alongX = Math.cos(hazard.angle);
+            const alongY = Math.sin(hazard.angle);
+            return [
+                {
+                    x: hazard.x + acrossX * offset + alongX * wobble,
+                    y: hazard.y + acrossY * offset + alongY * wobble,
+                    radius: hazard.radius,
+                },
+            ];
+        }
+
+        // "swing": a pendulum from a pivot beside the track, resting
+        // pointed at the centre line. The head is the big hitter, the
+        // handle gets a row of smaller circles.
+        const side = Math.sign(hazard.offset) || 1;
+        const rest = Math.atan2(-acrossY * side, -acrossX * side);
+        const swing = rest + Math.sin(cycle * Math.PI * 2) * hazard.amplitude;
+        const dirX = Math.cos(swing);
+        const dirY = Math.sin(swing);
+        const shapes = [];
+        for (let i = 1; i <= 4; i++) {
+            const along = (hazard.length - hazard.radius) * (i / 5);
+            shapes.push({
+                x: hazard.x + dirX * along,
+                y: hazard.y + dirY * along,
+                radius: 5,
+            });
+        }
+        shapes.push({
+            x: hazard.x + dirX * hazard.length,
+            y: hazard.y + dirY * hazard.length,
+            radius: hazard.radius,
+        });
+        return shapes;
+    }
+
+    // Gate segments across the track in race order, finishing with the
+    // start/finish line. Each stores the race direction at that point so
+    // crossings only count the right way round.
+    buildGates(gateTs) {
+        const halfLength = this.width / 2 + 80;
+        return [...gateTs, 0].map((t) => {
+            const point = this.getTrackPoint(t);
+            const direction = this.getTrackDirection(t);
+            const acrossX = Math.cos(direction + Math.PI / 2) * halfLength;
+            const acrossY = Math.sin(direction + Math.PI / 2) * halfLength;
+            return {
+                t,
+                x1: point.x - acrossX,
+                y1: point.y - acrossY,
+                x2: point.x + acrossX,
+                y2: point.y + acrossY,
+                dirX: -Math.cos(direction),
+                dirY: -Math.sin(direction),
+            };
+        });
+    }
+
+    // True if moving from one point to another crosses the gate forwards
+    crossesGate(gate, fromX, fromY, toX, toY) {
+        const moveX = toX - fromX;
+        const moveY = toY - fromY;
+        if (moveX * gate.dirX + moveY * gate.dirY <= 0) return false;
+
+        const side = (ax, ay, bx, by, px, py) =>
+            (bx - ax) * (py - ay) - (by - ay) * (px - ax);
+        const fromSide = side(gate.x1, gate.y1, gate.x2, gate.y2, fromX, fromY);
+        const toSide = side(gate.x1, gate.y1, gate.x2, gate.y2, toX, toY);
+        if (fromSide * toSide > 0 || fromSide === toSide) return false;
+
+        const end1Side = side(fromX, fromY, toX, toY, gate.x1, gate.y1);
+        const end2Side = side(fromX, fromY, toX, toY, gate.x2, gate.y2);
+        return end1Side * end2Side <= 0;
+    }
+
+    // On the tarmac when within half the track width of the centre line.
+    // Every segment that close is listed in the point's lookup cell.
+    isPointOnTrack(x, y) {
+        const limitSq = (this.width / 2) ** 2;
+        return this.getLookupCell(x, y).some(
+            (i) => this.getSegmentDistanceSq(i, x, y) < limitSq
+        );
+    }
+
+    // World positions of the car's four tires
+    getTirePositions(car) {
         const cos = Math.cos(car.angle);
         const sin = Math.sin(car.angle);
 
@@ -1522,28 +2890,327 @@ class Track {
             { x: 8, y: 15 },
         ];
 
-        let tiresOnTrack = 0;
+        return tireOffsets.map((offset) => ({
+            x: car.x + offset.x * cos - offset.y * sin,
+            y: car.y + offset.x * sin + offset.y * cos,
+        }));
+    }
 
-        for (const offset of tireOffsets) {
-            const tireX = car.x + offset.x * cos - offset.y * sin;
-            const tireY = car.y + offset.x * sin + offset.y * cos;
+    // Check what percentage of the car's tires are on track
+    checkCarOnTrack(car) {
+        let tiresOnTrack = 0;
 
-            if (this.isPointOnTrack(tireX, tireY)) {
+        for (const tire of this.getTirePositions(car)) {
+            if (this.isPointOnTrack(tire.x, tire.y)) {
                 tiresOnTrack++;
             }
         }
 
         return tiresOnTrack / 4;
     }
+
+    // The surface zone under a point, if any (later zones win)
+    getSurfaceAt(x, y) {
+        for (let i = this.surfaces.length - 1; i >= 0; i--) {
+            const zone = this.surfaces[i];
+            const dx = x - zone.x;
+            const dy = y - zone.y;
+            const cos = Math.cos(zone.angle);
+            const sin = Math.sin(zone.angle);
+            const localX = (dx * cos + dy * sin) / (zone.w / 2);
+            const localY = (-dx * sin + dy * cos) / (zone.h / 2);
+            const inside =
+                zone.shape === "ellipse"
+                    ? localX * localX + localY * localY <= 1
+                    : Math.abs(localX) <= 1 && Math.abs(localY) <= 1;
+            if (inside) return zone;
+        }
+        return null;
+    }
+
+    // Where a grid slot sits at a given t: `along` runs with increasing t,
+    // `perp` across the track
+    getGridPosition(t, offset) {
+        const point = this.getTrackPoint(t);
+        const direction = this.getTrackDirection(t);
+        return {
+            x:
+                point.x +
+                Math.cos(direction) * offset.along +
+                Math.cos(direction + Math.PI / 2) * offset.perp,
+            y:
+                point.y +
+                Math.sin(direction) * offset.along +
+                Math.sin(direction + Math.PI / 2) * offset.perp,
+            angle: direction + Math.PI / 2 + Math.PI,
+        };
+    }
+
+    // Geometry checks for any layout: stretches of track that cross or
+    // overlap (isPointOnTrack can't tell them apart, so cars could cut
+    // across) and grid slots off the tarmac are errors; corners too tight
+    // for the track width are warnings. Returns a list of
+    // { type, severity, t, message } problems, empty when the track is safe.
+    validate() {
+        const samples = 360;
+        const step = this.length / samples;
+        const points = Array.from({ length: samples }, (_, i) =>
+            this.getTrackPoint(i / samples)
+        );
+        const at = (t) => `${Math.round(((1 - t) % 1) * 100)}% round the lap`;
+        const problems = [];
+
+        // Report a run of flagged samples once, at its worst sample
+        const reportRuns = (flags, describe) => {
+            let i = 0;
+            // Start scanning after an unflagged sample so a run crossing
+            // the finish line isn't split in two
+            const offset = Math.max(0, flags.findIndex((flag) => !flag));
+            while (i < samples) {
+                const index = (i + offset) % samples;
+                if (!flags[index]) {
+                    i++;
+                    continue;
+                }
+                let worst = index;
+                while (i < samples && flags[(i + offset) % samples]) {
+                    const current = (i + offset) % samples;
+                    if (flags[current].score < flags[worst].score) worst = current;
+                    i++;
+                }
+                problems.push(describe(worst, flags[worst]));
+            }
+        };
+
+        // Overlap: two samples far apart along the lap but closer than the
+        // tarmac (including its edge) is wide. Samples are even in t, not
+        // in distance, so the gap along the lap is measured on the polyline.
+        const clearanceSq = (this.width + 14) ** 2;
+        const minArc = this.width * 3;
+        const arc = [0];
+        for (let i = 1; i <= samples; i++) {
+            const a = points[i - 1];
+            const b = points[i % samples];
+            arc.push(arc[i - 1] + Math.hypot(b.x - a.x, b.y - a.y));
+        }
+        const lapLength = arc[samples];
+        const overlaps = new Array(samples).fill(null);
+        const flagOverlap = (i, j, dist) => {
+            if (!overlaps[i] || dist < overlaps[i].score) {
+                overlaps[i] = { score: dist, other: j };
+            }
+        };
+        for (let i = 0; i < samples; i++) {
+            for (let j = i + 1; j < samples; j++) {
+                const gap = arc[j] - arc[i];
+                if (gap < minArc || lapLength - gap < minArc) continue;
+                const dx = points[j].x - points[i].x;
+                const dy = points[j].y - points[i].y;
+                const distSq = dx * dx + dy * dy;
+                if (distSq < clearanceSq) {
+                    const dist = Math.sqrt(distSq);
+                    flagOverlap(i, j, dist);
+                    flagOverlap(j, i, dist);
+                }
+            }
+        }
+        reportRuns(overlaps, (i, hit) => ({
+            type: hit.score < this.width / 2 ? "crossing" : "overlap",
+            severity: "error",
+            t: i / samples,
+            otherT: hit.other / samples,
+            message:
+                hit.score < this.width / 2
+                    ? `Track crosses itself at ${at(i / samples)}`
+                    : `Track runs into itself at ${at(i / samples)} (${Math.round(hit.score)} px apart)`,
+        }));
+
+        // Curvature radius through three samples about 30 px apart
+        const minRadius = this.width * TRACK_MIN_RADIUS_RATIO;
+        const span = Math.max(1, Math.round(30 / step));
+        const corners = points.map((b, i) => {
+            const a = points[(i - span + samples) % samples];
+            const c = points[(i + span) % samples];
+            const cross = Math.abs((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x));
+            const radius =
+                (Math.hypot(b.x - a.x, b.y - a.y) *
+                    Math.hypot(c.x - b.x, c.y - b.y) *
+                    Math.hypot(c.x - a.x, c.y - a.y)) /
+                (2 * cross || 1e-9);
+            return radius < minRadius ? { score: radius } : null;
+        });
+        reportRuns(corners, (i, corner) => ({
+            type: "corner",
+            severity: "warning",
+            t: i / samples,
+            message: `Corner at ${at(i / samples)} is too tight (radius ${Math.round(corner.score)} px, needs ${Math.round(minRadius)})`,
+        }));
+
+        // Every tire of every grid slot has to start on the tarmac
+        GRID_OFFSETS.forEach((offset, slot) => {
+            const position = this.getGridPosition(0, offset);
+            const onTrack = this.getTirePositions(position).every((tire) =>
+                this.isPointOnTrack(tire.x, tire.y)
+            );
+            if (!onTrack) {
+                problems.push({
+                    type: "grid",
+                    severity: "error",
+                    t: 0,
+                    message: `Grid slot ${slot + 1} is off the track`,
+                });
+            }
+        });
+
+        return problems;
+    }
+
+    // Average surface handling over the car's tires, tuned to its style
+    getCarSurface(car) {
+        const shape = car.style.shape || "roadster";
+        const surface = { friction: 0, traction: 0, topSpeed: 0, coverage: 0 };
+
+        for (const tire of this.getTirePositions(car)) {
+            const zone = this.getSurfaceAt(tire.x, tire.y);
+            const handling = zone
+                ? getSurfaceHandling(zone.type, shape)
+                : { friction: 1, traction: 1, topSpeed: 1 };
+            surface.friction += handling.friction / 4;
+            surface.traction += handling.traction / 4;
+            surface.topSpeed += handling.topSpeed / 4;
+            if (zone) surface.coverage += 1 / 4;
+        }
+
+        return surface;
+    }
+}
+
+// Staggered start positions; negative "along" is further up the track
+const GRID_OFFSETS = [
+    { along: 0, perp: -25 },
+    { along: -40, perp: 25 },
+    { along: -80, perp: -25 },
+    { along: -120, perp: 25 },
+];
+
+// Tightest corner the validator accepts, as a radius in track widths.
+// Below half the width the inside edge of the tarmac folds over itself.
+const TRACK_MIN_RADIUS_RATIO = 0.5;
+
+// Target length in px of one straight piece of the track's lookup polyline
+// (see Track.buildLookup); the curve strays well under a pixel from it
+const TRACK_LOOKUP_SPACING = 6;
+
+// Corner features for the track generator: sideways offsets applied to a
+// run of consecutive control points
+const TRACK_FEATURES = {
+    // Quick left-right S
+    chicane: { label: "Chicane", offsets: [180, -180, 140, -140] },
+    // Tight, sharp turn
+    hairpin: { label: "Hairpin", offsets: [-260, -340, -260] },
+    // Subtle jog on a straight
+    kink: { label: "Kink", offsets: [120, -80] },
+    // Flowing S curve
+    esses: { label: "Esses", offsets: [140, 100, -120, -160] },
+    // Long, tightening curve
+    carousel: { label: "Carousel", offsets: [120, 180, 220, 180, 120] },
+    // Repeated quick direction changes
+    slalom: { label: "Slalom", offsets: [140, -140, 140, -140, 120, -120] },
+    // Double hairpin feel
+    switchback: { label: "Switchback", offsets: [-220, -300, -220, 220, 300, 220] },
+    // Big, fast arc
+    sweeper: { label: "Sweeper", offsets: [120, 160, 200, 220, 200, 160, 120] },
+    // Sharper, closer chicane offsets
+    busStop: { label: "Bus Stop", offsets: [200, -220, 200] },
+    // Small offset then tighter bend
+    dogleg: { label: "Dogleg", offsets: [120, 180, 240] },
+};
+
+// Computer driver presets. `pace` scales the cruising speed, `lookahead` is
+// how far down the racing line (px) the driver aims, `cornerCaution` is how
+// much it lifts for bends and `wobble` adds steering noise to easier drivers.
+const AI_DIFFICULTIES = {
+    easy: { pace: 0.84, lookahead: 150, steerGain: 1.8, cornerCaution: 0.9, wobble: 0.35 },
+    medium: { pace: 0.93, lookahead: 170, steerGain: 2.2, cornerCaution: 0.65, wobble: 0.18 },
+    hard: { pace: 1.0, lookahead: 190, steerGain: 2.6, cornerCaution: 0.45, wobble: 0.05 },
+};
+
+// Drives a Car along the track spline by producing the same
+// steer/accel/brake input a keyboard or gamepad would.
+class AIDriver {
+    constructor(car, track, difficulty = "medium", slot = 0) {
+        this.car = car;
+        this.track = track;
+        this.preset = AI_DIFFICULTIES[difficulty] || AI_DIFFICULTIES.medium;
+        // Spread the field a little so the AI cars don't drive nose to tail
+        this.pace = this.preset.pace * (1 - slot * 0.02);
+        this.laneOffset = ((slot % 3) - 1) * track.width * 0.15;
+        this.wobblePhase = slot * 1.7;
+        this.t = car.trackT;
+    }
+
+    getLinePoint(t) {
+        const point = this.track.getTrackPoint(t);
+        const direction = this.track.getTrackDirection(t);
+        return {
+            x: point.x - Math.sin(direction) * this.laneOffset,
+            y: point.y + Math.cos(direction) * this.laneOffset,
+        };
+    }
+
+    getInput(dtScale) {
+        const car = this.car;
+        const track = this.track;
+        // The Game keeps car.trackT current every frame
+        this.t = car.trackT;
+
+        // Lift for bends: the sharpest heading change over the next stretch
+        const here = track.getTrackDirection(this.t);
+        let bend = 0;
+        for (let i = 1; i <= 4; i++) {
+            const ahead = track.advanceT(this.t, this.preset.lookahead * 0.6 * i);
+            bend = Math.max(
+                bend,
+                Math.abs(normalizeAngle(track.getTrackDirection(ahead) - here))
+            );
+        }
+        const cornerFactor = Math.max(0.4, 1 - bend * this.preset.cornerCaution);
+
+        // Steer towards a point further down the racing line, aiming closer
+        // in when cornering so the line doesn't cut across the grass
+        const aimT = track.advanceT(
+            this.t,
+            this.preset.lookahead * (0.4 + 0.6 * cornerFactor)
+        );
+        const target = this.getLinePoint(aimT);
+        const heading = car.angle - Math.PI / 2;
+        const desired = Math.atan2(target.y - car.y, target.x - car.x);
+        this.wobblePhase += 0.04 * dtScale;
+        const wobble = Math.sin(this.wobblePhase) * this.preset.wobble * 0.2;
+        const error = normalizeAngle(desired - heading) + wobble;
+        const steer = Math.max(-1, Math.min(1, error * this.preset.steerGain));
+        const targetSpeed = car.getCruiseSpeed() * this.pace * cornerFactor;
+
+        if (car.speed > targetSpeed * 1.1) {
+            return { steer, accel: 0, brake: 1 };
+        }
+        return { steer, accel: car.speed < targetSpeed ? 1 : 0, brake: 0 };
+    }
 }
 
 class Game {
     constructor(playerCount = 1, trackIndex = 0, settings = {}, controllerConfig = []) {
-        this.playerCount = playerCount;
+        // Time trial is a solo run against the ghost
+        const timeTrial = settings.raceMode === "timetrial";
+        this.playerCount = timeTrial ? 1 : playerCount;
         this.trackIndex = trackIndex;
+        // Records are stored per track key: the built-in track index, or a
+        // hash of the layout for custom tracks
+        this.trackLayout = settings.trackLayout || null;
+        this.trackKey = this.trackLayout ? getLayoutTrackKey(this.trackLayout) : trackIndex;
         this.canvas = document.getElementById("gameCanvas");
         this.ctx = this.canvas.getContext("2d");
-        this.track = new Track(trackIndex);
+        this.track = new Track(trackIndex, this.trackLayout);
         this.trackTheme = this.track.getTheme();
         this.patternCache = new Map();
         this.cars = [];
@@ -1555,65 +3222,106 @@ class Game {
         this.keys = {};
         this.running = false;
         this.winner = null;
-        this.lapsToWin = 3;
-        this.ghostEnabled = settings.ghostEnabled !== false;
+        this.raceOver = false;
+        const rules = { ...RULE_PRESETS.classic, ...(settings.rules || {}) };
+        this.lapsToWin = Math.max(1, Math.min(20, Math.round(rules.lapCount)));
+        // Once the first car finishes the rest get this long to cross the line
+        this.finishGraceMs = 30000;
+        this.finishDeadline = null;
+        this.finishOrder = [];
+        this.raceStartTime = null;
+        // Optional callback (game) => {} run once the race is over
+        this.onRaceEnd = null;
+        this.ghostEnabled = timeTrial || settings.ghostEnabled !== false;
+        this.aiDifficulty = timeTrial ? "off" : settings.aiDifficulty || "off";
+
+        // "elimination" is the Micro Machines mode: one shared camera, and the
+        // leader scores whenever a rival drops off the screen. "timetrial" is
+        // unlimited laps with no finish.
+        this.raceMode = ["elimination", "timetrial"].includes(settings.raceMode)
+            ? settings.raceMode
+            : "race";
+        this.timeTrial = timeTrial;
+        this.usesLaps = this.raceMode !== "elimination";
+        this.sharedCamera = this.raceMode === "elimination";
+        this.pointsToWin = Math.max(1, Math.round(rules.pointsToWin));
+        this.cameraPosition = null;
+        this.roundFreezeEndTime = 0;
+        this.roundMessage = "";
+        // Game clock: wall time minus time spent paused. Lap timers, the
+        // countdown, the ghost and effect timers all run off getTime()
+        this.paused = false;
+        this.pauseStartTime = 0;
+        this.pausedTotal = 0;
+        this.startButtonHeld = {};
+        // Optional callback (paused) => {} run when the game pauses or resumes
+        this.onPauseChange = null;
         this.lapSamples = Array.from({ length: this.playerCount }, () => []);
         this.lastSampleTimes = Array(this.playerCount).fill(0);
         this.bestLap = this.loadBestLap();
-        this.leaderboard = loadLeaderboard(this.trackIndex);
+        this.leaderboard = loadLeaderboard(this.trackKey);
+        this.timeTrialBest = loadTimeTrialBest(this.trackKey);
         this.ghostSamples = this.bestLap ? this.bestLap.samples : null;
         this.ghostLapTime = this.bestLap ? this.bestLap.time : null;
-        this.ghostStartTime = Date.now();
+        this.ghostProgress = this.measureGhostProgress(this.ghostSamples);
+        this.bestSectors = loadBestSectors(this.trackKey);
+        this.ghostStartTime = this.getTime();
         this.ghostCursor = 0;
         this.ghostLastTime = 0;
         this.countdownActive = false;
         this.countdownStartTime = 0;
         this.countdownEndTime = null;
         this.countdownDuration = 3500;
-        this.slipstreamDistance = 140;
+        this.countdownBeeps = 0;
+        this.collisionsEnabled = rules.collisions;
+        this.itemsEnabled = !!rules.items && !timeTrial;
+        this.slipstreamEnabled = rules.slipstream;
+        this.slipstreamDistance = rules.slipstreamDistance;
         this.slipstreamAngle = Math.PI / 6;
-        this.slipstreamDuration = 450;
-        this.slipstreamBoostAccel = 0.45;
+        this.slipstreamDuration = rules.slipstreamDuration;
+        this.slipstreamBoostAccel = rules.slipstreamBoost;
         this.slipstreamMaxFactor = 1.08;
-        this.ghostCar = new Car(
-            0,
-            0,
-            0,
-            "#ffffff",
-            -1,
-            this.trackTheme.vehicle || {}
-        );
+        // Timing marks per lap used to measure gaps between cars
+        this.timingMarksPerLap = 40;
+        // Cars this far from the centre line for strayResetMs go back on track
+        this.strayDistance = this.track.width / 2 + 80;
+        this.strayResetMs = 1200;
+        this.wrongWayDelayMs = 1000;
+        this.respawnInvulnerableMs = 2000;
+        this.standings = [];
+
+        // Garage picks for the human seats; AI cars keep the slot colors
+        // unless a player has taken one
+        this.garage = settings.garage || [];
+        this.playerColors = this.pickGridColors(playerCount);
 
-        // Player colors
-        this.playerColors = ["#ff4444", "#4444ff", "#44ff44", "#ffff44"];
+        this.ghostCar = new Car(0, 0, 0, "#ffffff", -1, this.getCarStyle(0));
+
+        this.gridOffsets = GRID_OFFSETS;
 
         // Controller configuration: array where each index is a player
         // null = keyboard, number = gamepad index
         this.controllerConfig = controllerConfig;
 
         // Key mappings for each player (used when not using controller)
-        this.keyMaps = [
-            {
-                up: "arrowup",
-                down: "arrowdown",
-                left: "arrowleft",
-                right: "arrowright",
-            },
-            { up: "w", down: "s", left: "a", right: "d" },
-            { up: "i", down: "k", left: "j", right: "l" },
-            { up: "8", down: "5", left: "4", right: "6" },
-        ];
+        this.keyMaps = PLAYER_KEY_MAPS;
+
+        // Item boxes and whatever has been thrown or dropped on the track
+        this.itemBoxes = this.itemsEnabled ? this.createItemBoxes() : [];
+        this.oilSlicks = [];
+        this.marbles = [];
 
         // Resize canvas to fill screen
         this.resizeCanvas();
-        window.addEventListener("resize", () => this.resizeCanvas());
+        this.onResize = () => this.resizeCanvas();
+        window.addEventListener("resize", this.onResize);
 
         this.initCars();
         this.setupEventListeners();
     }
 
     getBestLapStorageKey() {
-        return `microRacer.bestLap.${this.trackIndex}`;
+        return `${BEST_LAP_KEY_PREFIX}${this.trackKey}`;
     }
 
     loadBestLap() {
@@ -1638,6 +3346,7 @@ class Game {
     }
 
     recordLapSample(car, index) {
+        if (car.isAI) return;
         const sampleTime = car.currentLapTime;
         if (sampleTime - this.lastSampleTimes[index] < 30) return;
         this.lastSampleTimes[index] = sampleTime;
@@ -1649,18 +3358,71 @@ class Game {
         });
     }
 
-    setBestLap(lapTime, lapSamples) {
+    setBestLap(lapTime, lapSamples, splits) {
         const samples = lapSamples.map((sample) => ({ ...sample }));
-        const bestLap = { time: lapTime, samples };
+        const bestLap = { time: lapTime, samples, splits: [...splits] };
         this.bestLap = bestLap;
         this.ghostSamples = samples;
         this.ghostLapTime = lapTime;
-        this.ghostStartTime = Date.now();
+        this.ghostProgress = this.measureGhostProgress(samples);
+        this.ghostStartTime = this.getTime();
         this.ghostCursor = 0;
         this.ghostLastTime = 0;
         this.saveBestLap(bestLap);
     }
 
+    // How far round the lap (0 to 1) each ghost sample is, never decreasing,
+    // so the ghost's time at any point on the track can be looked up
+    measureGhostProgress(samples) {
+        if (!samples || samples.length === 0) return null;
+
+        let t = this.track.getClosestT(samples[0].x, samples[0].y);
+        let progress = Math.max(0, this.track.getProgressDelta(0, t));
+        return samples.map((sample) => {
+            const nextT = this.track.getClosestT(sample.x, sample.y, t);
+            progress = Math.max(
+                progress,
+                progress + this.track.getProgressDelta(t, nextT)
+            );
+            t = nextT;
+            return progress;
+        });
+    }
+
+    // Time the ghost took to reach a given fraction of the lap
+    getGhostTimeAtProgress(progress) {
+        const samples = this.ghostSamples;
+        const marks = this.ghostProgress;
+        if (!marks || progress < marks[0]) return null;
+
+        let low = 0;
+        let high = marks.length - 1;
+        if (progress >= marks[high]) return null;
+        while (high - low > 1) {
+            const mid = (low + high) >> 1;
+            if (marks[mid] <= progress) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+
+        const span = marks[high] - marks[low];
+        const ratio = span > 0 ? (progress - marks[low]) / span : 0;
+        return samples[low].t + (samples[high].t - samples[low].t) * ratio;
+    }
+
+    // Running gap to the best lap at the car's current spot, or null
+    getGhostDelta(car) {
+        if (car.isAI || !this.ghostSamples || !this.usesLaps) {
+            return null;
+        }
+        const ghostTime = this.getGhostTimeAtProgress(
+            car.trackProgress - car.lap
+        );
+        return ghostTime === null ? null : car.currentLapTime - ghostTime;
+    }
+
     interpolateAngle(a, b, t) {
         const twoPi = Math.PI * 2;
         const delta = ((b - a + Math.PI * 3) % twoPi) - Math.PI;
@@ -1708,198 +3470,553 @@ class Game {
     }
 
     initCars() {
-        const startPoint = this.track.getTrackPoint(0);
-        const trackDirection = this.track.getTrackDirection(0);
-        const startAngle = trackDirection + Math.PI / 2 + Math.PI;
-
-        // Stagger start positions
-        const offsets = [
-            { along: 0, perp: -25 },
-            { along: -40, perp: 25 },
-            { along: -80, perp: -25 },
-            { along: -120, perp: 25 },
-        ];
+        // AI opponents fill whatever grid slots the players leave empty
+        const gridSize =
+            this.aiDifficulty in AI_DIFFICULTIES
+                ? this.gridOffsets.length
+                : this.playerCount;
+
+        for (let i = 0; i < gridSize; i++) {
+            const style = this.getCarStyle(i);
+            const car = new Car(0, 0, 0, this.playerColors[i], i, style);
+            car.livery = this.getCarLivery(i);
+            this.placeCarOnGrid(car, 0, i);
+            car.trackProgress = this.track.getProgressDelta(0, car.trackT);
+            car.partialLap = this.gridOffsets[i].along < 0;
+
+            if (i >= this.playerCount) {
+                car.isAI = true;
+                car.aiIndex = i - this.playerCount;
+                car.ai = new AIDriver(
+                    car,
+                    this.track,
+                    this.aiDifficulty,
+                    car.aiIndex
+                );
+            }
 
-        const perpX = Math.cos(trackDirection + Math.PI / 2);
-        const perpY = Math.sin(trackDirection + Math.PI / 2);
-        const alongX = Math.cos(trackDirection);
-        const alongY = Math.sin(trackDirection);
-
-        for (let i = 0; i < this.playerCount; i++) {
-            const offset = offsets[i];
-            const x =
-                startPoint.x + alongX * offset.along + perpX * offset.perp;
-            const y =
-                startPoint.y + alongY * offset.along + perpY * offset.perp;
-            const style = this.trackTheme.vehicle || {};
-
-            this.cars.push(
-                new Car(x, y, startAngle, this.playerColors[i], i, style)
-            );
+            this.cars.push(car);
         }
     }
 
-    setupEventListeners() {
-        document.addEventListener("keydown", (e) => {
-            this.keys[e.key.toLowerCase()] = true;
-        });
+    // Players drive their garage vehicle, everyone else the track's own
+    getCarStyle(slot) {
+        const trackStyle = this.trackTheme.vehicle || {};
+        const pick = slot < this.playerCount ? this.garage[slot] : null;
+        if (!pick) return trackStyle;
+        if (pick.vehicle in VEHICLE_STATS) {
+            return { ...trackStyle, shape: pick.vehicle };
+        }
+        const sprite = getCustomSprite(pick.vehicle);
+        if (sprite) {
+            return {
+                ...trackStyle,
+                shape: pick.vehicle,
+                width: sprite.width,
+                height: sprite.height,
+                collisionRadius: sprite.collisionRadius,
+            };
+        }
+        return trackStyle;
+    }
 
-        document.addEventListener("keyup", (e) => {
-            this.keys[e.key.toLowerCase()] = false;
+    getCarLivery(slot) {
+        const pick = slot < this.playerCount ? this.garage[slot] : null;
+        if (!pick) return null;
+        return {
+            primary: this.playerColors[slot],
+            secondary: pick.secondary,
+            pattern: pick.pattern,
+            number: pick.number,
+        };
+    }
+
+    pickGridColors(playerCount) {
+        const colors = PLAYER_COLORS.map((color, i) => {
+            const pick = i < playerCount ? this.garage[i] : null;
+            return pick && pick.color ? pick.color : color;
         });
+        const playerPicks = new Set(colors.slice(0, playerCount));
+        const taken = new Set(colors);
+        for (let i = playerCount; i < colors.length; i++) {
+            if (!playerPicks.has(colors[i])) continue;
+            colors[i] = PAINT_COLORS.find((color) => !taken.has(color));
+            taken.add(colors[i]);
+        }
+        return colors;
     }
 
-    handleInput(dtScale) {
-        if (this.countdownActive) return;
+    // Put a car at rest in a grid slot around track parameter t
+    placeCarOnGrid(car, t, slot) {
+        const position = this.track.getGridPosition(t, this.gridOffsets[slot]);
+        car.x = position.x;
+        car.y = position.y;
+        car.angle = position.angle;
+        car.speed = 0;
+        car.turnSpeed = 0;
+        car.knockX = 0;
+        car.knockY = 0;
+        car.steerInput = 0;
+        car.lastSkidPositions = null;
+        car.trackT = this.track.getClosestT(car.x, car.y, t);
+        car.lastOnTrackT = car.trackT;
+        car.prevX = car.x;
+        car.prevY = car.y;
+    }
 
-        this.cars.forEach((car, index) => {
-            const gamepadIndex = this.controllerConfig[index];
-            const accelStep = car.acceleration * dtScale;
-            
-            // Check if this player is using a controller
-            if (gamepadIndex !== null && gamepadIndex !== undefined) {
-                // Gamepad input
-                const steerInput = gamepadManager.getSteerInput(gamepadIndex);
-                const accelInput = gamepadManager.getAccelInput(gamepadIndex);
-                const brakeInput = gamepadManager.getBrakeInput(gamepadIndex);
-                
-                car.steerInput = steerInput;
-                
-                if (accelInput > 0.1) {
-                    car.speed = Math.min(
-                        car.speed + accelStep * accelInput,
-                        car.getCurrentMaxSpeed()
-                    );
-                }
-                
-                if (brakeInput > 0.1) {
-                    car.speed = Math.max(
-                        car.speed - accelStep * brakeInput,
-                        -car.getCurrentMaxSpeed() * 0.5
-                    );
-                }
-            } else {
-                // Keyboard input
-                const keyMap = this.keyMaps[index];
-                const useTouch = index === 0 && touchControlsState.enabled;
-                const rightPressed =
-                    this.keys[keyMap.right] || (useTouch && touchControlsState.right);
-                const leftPressed =
-                    this.keys[keyMap.left] || (useTouch && touchControlsState.left);
-                const accelPressed =
-                    this.keys[keyMap.up] || (useTouch && touchControlsState.accel);
-                const brakePressed =
-                    this.keys[keyMap.down] || (useTouch && touchControlsState.brake);
-                const steerInput = (rightPressed ? 1 : 0) - (leftPressed ? 1 : 0);
-                car.steerInput = steerInput;
-
-                if (accelPressed) {
-                    car.speed = Math.min(
-                        car.speed + accelStep,
-                        car.getCurrentMaxSpeed()
-                    );
-                }
+    getHumanCars() {
+        return this.cars.filter((car) => !car.isAI);
+    }
 
-                if (brakePressed) {
-                    car.speed = Math.max(
-                        car.speed - accelStep,
-                        -car.getCurrentMaxSpeed() * 0.5
-                    );
-                }
-            }
-        });
+    // Progress is the lap count plus how far round the current lap the car
+    // is, accumulated frame to frame so it never jumps at the finish line
+    updateTrackProgress(car) {
+        const nearest = this.track.findNearest(car.x, car.y, car.trackT);
+        car.trackProgress += this.track.getProgressDelta(car.trackT, nearest.t);
+        car.trackT = nearest.t;
+        car.trackDistance = nearest.distance;
     }
 
-    checkCheckpoint(car) {
-        const checkpointPoint = this.track.getTrackPoint(0.5);
-        const distance = Math.sqrt(
-            (car.x - checkpointPoint.x) ** 2 + (car.y - checkpointPoint.y) ** 2
-        );
+    // Respawn cars that stray too far off the track, and flag cars that
+    // keep driving against the race direction
+    updateRecovery(car, now) {
+        if (car.tiresOnTrackRatio > 0) {
+            car.lastOnTrackT = car.trackT;
+        }
+
+        if (car.trackDistance <= this.strayDistance) {
+            car.strayStartTime = null;
+        } else if (car.strayStartTime === null) {
+            car.strayStartTime = now;
+        } else if (now - car.strayStartTime >= this.strayResetMs) {
+            this.respawnCar(car, now);
+            return;
+        }
 
-        if (distance < 100 && !car.crossedCheckpoint) {
-            car.crossedCheckpoint = true;
+        // Cars race toward decreasing t, opposite to getTrackDirection
+        const raceHeading = this.track.getTrackDirection(car.trackT) + Math.PI;
+        const moveHeading =
+            car.angle - Math.PI / 2 + (car.speed < 0 ? Math.PI : 0);
+        const goingBackwards =
+            Math.abs(car.speed) > 0.8 &&
+            Math.abs(normalizeAngle(moveHeading - raceHeading)) > Math.PI * 0.6;
+
+        if (!goingBackwards) {
+            car.wrongWayStartTime = null;
+            car.wrongWay = false;
+        } else if (car.wrongWayStartTime === null) {
+            car.wrongWayStartTime = now;
+        } else {
+            car.wrongWay = now - car.wrongWayStartTime >= this.wrongWayDelayMs;
         }
     }
 
-    checkLapCompletion(car, index) {
-        const startPoint = this.track.getTrackPoint(0);
-        const distance = Math.sqrt(
-            (car.x - startPoint.x) ** 2 + (car.y - startPoint.y) ** 2
-        );
-
-        if (distance < 100) {
-            if (!car.crossedFinishLine && car.crossedCheckpoint) {
-                car.crossedFinishLine = true;
-
-                if (car.currentLapTime > 5000) {
-                    car.lap++;
-
-                    // Play lap completion sound
-                    soundManager.playLapComplete();
-
-                    const lapTimestamp = Date.now();
-                    const { entries, rank } = addLeaderboardEntry(this.trackIndex, {
-                        time: car.currentLapTime,
-                        playerIndex: car.playerIndex,
-                        playerCount: this.playerCount,
-                        timestamp: lapTimestamp,
-                    });
-                    this.leaderboard = entries;
-                    if (rank) {
-                        car.hudMessage = rank === 1 ? "NEW RECORD!" : `TOP ${rank}`;
-                        car.hudMessageEndTime = lapTimestamp + 1400;
-                        if (rank === 1) {
-                            soundManager.playNewRecord();
-                        }
-                    }
+    // Put a car back on the centre line at its nearest track point, facing
+    // the way the race runs
+    respawnCar(car, now) {
+        // Far off the track the closest point can be on another stretch
+        // entirely, so fall back to where the car last had wheels on track
+        let t = this.track.getClosestT(car.x, car.y, car.lastOnTrackT);
+        if (Math.abs(this.track.getProgressDelta(car.lastOnTrackT, t)) > 0.05) {
+            t = car.lastOnTrackT;
+        }
 
-                    this.lapSamples[index].push({
-                        t: car.currentLapTime,
-                        x: car.x,
-                        y: car.y,
-                        angle: car.angle,
-                    });
-
-                    if (
-                        !this.bestLap ||
-                        car.currentLapTime < this.bestLap.time
-                    ) {
-                        this.setBestLap(
-                            car.currentLapTime,
-                            this.lapSamples[index]
-                        );
-                    }
+        // Gates between the last on-track point and the respawn point still
+        // count, so a respawn never leaves a lap unfinishable. Neither the
+        // sector it skips through nor the one it lands in is a clean time.
+        const point = this.track.getTrackPoint(t);
+        car.sectorRespawned = true;
+        if (this.usesLaps && !car.finished) {
+            const from = this.track.getTrackPoint(car.lastOnTrackT);
+            const index = this.cars.indexOf(car);
+            this.checkGates(car, index, from.x, from.y, point.x, point.y);
+        }
+        car.sectorRespawned = true;
+
+        car.x = point.x;
+        car.y = point.y;
+        car.prevX = point.x;
+        car.prevY = point.y;
+        car.angle = this.track.getTrackDirection(t) + Math.PI / 2 + Math.PI;
+        car.speed = 0;
+        car.turnSpeed = 0;
+        car.steerInput = 0;
+        car.lastSkidPositions = null;
+        car.trackProgress += this.track.getProgressDelta(car.trackT, t);
+        car.trackT = t;
+        car.lastOnTrackT = t;
+        car.strayStartTime = null;
+        car.wrongWayStartTime = null;
+        car.wrongWay = false;
+        car.invulnerableUntil = now + this.respawnInvulnerableMs;
+    }
 
-                    if (
-                        !car.bestLapTime ||
-                        car.currentLapTime < car.bestLapTime
-                    ) {
-                        car.bestLapTime = car.currentLapTime;
-                    }
+    recordProgressStamps(car, now) {
+        const mark = Math.floor(car.trackProgress * this.timingMarksPerLap);
+        while (car.lastProgressMark < mark) {
+            car.lastProgressMark++;
+            car.progressStamps[car.lastProgressMark] = now;
+        }
+    }
 
-                    car.lapStartTime = Date.now();
-                    car.crossedCheckpoint = false;
-                    this.lapSamples[index] = [];
-                    this.lastSampleTimes[index] = 0;
-                    this.ghostStartTime = car.lapStartTime;
-                    this.ghostCursor = 0;
-                    this.ghostLastTime = 0;
-
-                    // Check for winner
-                    if (car.lap >= this.lapsToWin && !this.winner) {
-                        this.winner = car;
-                        soundManager.stopMusic();
-                        soundManager.stopEngineSound();
-                        soundManager.playWin();
-
-                        // Show finish button
-                        document.getElementById("finishBackBtn").style.display = "block";
-                        document.getElementById("backBtn").style.display = "none";
-                    }
+    updateStandings() {
+        const unfinished = this.cars
+            .filter((car) => !car.finished)
+            .sort((a, b) =>
+                this.raceMode === "elimination"
+                    ? b.points - a.points || b.trackProgress - a.trackProgress
+                    : b.trackProgress - a.trackProgress
+            );
+        this.standings = [...this.finishOrder, ...unfinished];
+        this.standings.forEach((car, i) => {
+            car.position = i + 1;
+        });
+    }
+
+    // Time behind the car ahead at the last timing mark both have passed,
+    // or whole laps when the car has been lapped
+    getGapLabel(car, ahead) {
+        const lapsDown = Math.floor(ahead.trackProgress - car.trackProgress);
+        if (lapsDown >= 1) {
+            return `+${lapsDown} LAP${lapsDown > 1 ? "S" : ""}`;
+        }
+        const mark = car.lastProgressMark;
+        const mine = car.progressStamps[mark];
+        const theirs = ahead.progressStamps[mark];
+        if (mine === undefined || theirs === undefined) return "";
+        return `+${((mine - theirs) / 1000).toFixed(2)}`;
+    }
+
+    getLeader() {
+        return this.cars.reduce((leader, car) =>
+            car.trackProgress > leader.trackProgress ? car : leader
+        );
+    }
+
+    // Handlers are kept so stop() can take them off again
+    setupEventListeners() {
+        this.onKeyDown = (e) => {
+            this.keys[e.key.toLowerCase()] = true;
+            if (e.key === "Escape" && this.running && !e.repeat) {
+                this.togglePause();
+            }
+        };
+        this.onKeyUp = (e) => {
+            this.keys[e.key.toLowerCase()] = false;
+        };
+        document.addEventListener("keydown", this.onKeyDown);
+        document.addEventListener("keyup", this.onKeyUp);
+    }
+
+    removeEventListeners() {
+        document.removeEventListener("keydown", this.onKeyDown);
+        document.removeEventListener("keyup", this.onKeyUp);
+        window.removeEventListener("resize", this.onResize);
+    }
+
+    handleInput(dtScale) {
+        const now = this.getTime();
+        if (this.countdownActive || now < this.roundFreezeEndTime) {
+            return;
+        }
+
+        this.cars.forEach((car, index) => {
+            let input;
+            if (car.isAI || car.finished) {
+                input = car.ai.getInput(dtScale);
+            } else {
+                const gamepadIndex = this.controllerConfig[index];
+                // Check if this player is using a controller
+                input =
+                    gamepadIndex !== null && gamepadIndex !== undefined
+                        ? this.getGamepadInput(gamepadIndex)
+                        : this.getKeyboardInput(index);
+
+                // Manual respawn fires once per press
+                if (input.respawn && !car.respawnHeld) {
+                    this.respawnCar(car, now);
+                }
+                car.respawnHeld = input.respawn;
+
+                if (this.timeTrial && input.restartLap && !car.restartLapHeld) {
+                    this.restartLap(car, now);
+                }
+                car.restartLapHeld = input.restartLap;
+
+                if (input.useItem && !car.useItemHeld) {
+                    this.useItem(car, now);
                 }
+                car.useItemHeld = input.useItem;
+            }
+
+            // A spinning car has no control until it recovers
+            if (now < car.spinEndTime) {
+                input = { steer: 0, accel: 0, brake: 0 };
+            }
+            this.applyDriveInput(car, input, dtScale);
+        });
+    }
+
+    getGamepadInput(gamepadIndex) {
+        return {
+            steer: gamepadManager.getSteerInput(gamepadIndex),
+            accel: gamepadManager.getAccelInput(gamepadIndex),
+            brake: gamepadManager.getBrakeInput(gamepadIndex),
+            respawn: gamepadManager.isRespawnPressed(gamepadIndex),
+            restartLap: gamepadManager.isRestartLapPressed(gamepadIndex),
+            useItem: gamepadManager.isUseItemPressed(gamepadIndex),
+        };
+    }
+
+    getKeyboardInput(index) {
+        const keyMap = this.keyMaps[index];
+        const useTouch = index === 0 && touchControlsState.enabled;
+        const rightPressed =
+            this.keys[keyMap.right] || (useTouch && touchControlsState.right);
+        const leftPressed =
+            this.keys[keyMap.left] || (useTouch && touchControlsState.left);
+        const accelPressed =
+            this.keys[keyMap.up] || (useTouch && touchControlsState.accel);
+        const brakePressed =
+            this.keys[keyMap.down] || (useTouch && touchControlsState.brake);
+        const respawnPressed =
+            this.keys[keyMap.respawn] || (useTouch && touchControlsState.respawn);
+        const useItemPressed =
+            this.keys[keyMap.useItem] || (useTouch && touchControlsState.useItem);
+
+        return {
+            steer: (rightPressed ? 1 : 0) - (leftPressed ? 1 : 0),
+            accel: accelPressed ? 1 : 0,
+            brake: brakePressed ? 1 : 0,
+            respawn: !!respawnPressed,
+            restartLap: !!(keyMap.restartLap && this.keys[keyMap.restartLap]),
+            useItem: !!useItemPressed,
+        };
+    }
+
+    // Shared by players and AI: steer input plus analog accel/brake (0 to 1)
+    applyDriveInput(car, input, dtScale) {
+        const accelStep = car.acceleration * dtScale;
+        car.steerInput = input.steer;
+
+        if (input.accel > 0.1) {
+            car.speed = Math.min(
+                car.speed + accelStep * input.accel,
+                car.getCurrentMaxSpeed()
+            );
+        }
+
+        if (input.brake > 0.1) {
+            car.speed = Math.max(
+                car.speed - accelStep * input.brake,
+                -car.getCurrentMaxSpeed() * 0.5
+            );
+        }
+    }
+
+    // Advance through the track's gates in order; crossing the finish line
+    // only completes a lap once every sector gate has been passed
+    checkGates(car, index, fromX, fromY, toX, toY) {
+        const gates = this.track.gates;
+        const gate = gates[car.nextGate];
+        if (!this.track.crossesGate(gate, fromX, fromY, toX, toY)) return;
+
+        if (!car.isAI) {
+            this.recordSplit(car);
+        }
+
+        if (car.nextGate < gates.length - 1) {
+            car.nextGate++;
+            return;
+        }
+
+        car.nextGate = 0;
+        this.completeLap(car, index);
+    }
+
+    // Note the lap time at a gate, flash the delta to the best lap's split
+    // and keep the best time for each sector
+    recordSplit(car) {
+        const sector = car.splits.length;
+        const splitTime = car.currentLapTime;
+        const sectorTime = splitTime - (sector > 0 ? car.splits[sector - 1] : 0);
+        car.splits.push(splitTime);
+
+        const bestSplits = this.bestLap && this.bestLap.splits;
+        const bestSplit = bestSplits ? bestSplits[sector] : undefined;
+        if (typeof bestSplit === "number") {
+            const delta = splitTime - bestSplit;
+            car.splitMessage = `S${sector + 1} ${formatDelta(delta)}`;
+            car.splitColor = delta <= 0 ? "#4ade80" : "#ff5a5a";
+        } else {
+            car.splitMessage = `S${sector + 1} ${formatTime(sectorTime)}`;
+            car.splitColor = "#ffffff";
+        }
+        car.splitMessageEndTime = this.getTime() + 2000;
+
+        const counts = !car.partialLap && !car.sectorRespawned;
+        car.sectorRespawned = false;
+        const bestSector = this.bestSectors[sector];
+        if (counts && (typeof bestSector !== "number" || sectorTime < bestSector)) {
+            this.bestSectors[sector] = sectorTime;
+            saveBestSectors(this.trackKey, this.bestSectors);
+        }
+    }
+
+    getTheoreticalBest() {
+        return getTheoreticalBest(this.bestSectors, this.track.gates.length);
+    }
+
+    completeLap(car, index) {
+        car.lap++;
+
+        // Play lap completion sound
+        soundManager.playLapComplete();
+
+        // AI laps don't go into the records or the ghost
+        if (!car.isAI) {
+            this.recordPlayerLap(car, index);
+            if (this.timeTrial) {
+                this.recordTimeTrialLap(car);
+            }
+        }
+
+        if (!car.bestLapTime || car.currentLapTime < car.bestLapTime) {
+            car.bestLapTime = car.currentLapTime;
+        }
+
+        car.lapStartTime = this.getTime();
+        car.splits = [];
+        car.partialLap = false;
+        if (!car.isAI) {
+            this.lapSamples[index] = [];
+            this.lastSampleTimes[index] = 0;
+            this.ghostStartTime = car.lapStartTime;
+            this.ghostCursor = 0;
+            this.ghostLastTime = 0;
+        }
+
+        if (!this.timeTrial && car.lap >= this.lapsToWin) {
+            this.finishCar(car);
+        }
+    }
+
+    // Keep the best time-trial lap and call out a better medal than the
+    // track had before
+    recordTimeTrialLap(car) {
+        const previousBest = this.timeTrialBest;
+        if (previousBest && previousBest <= car.currentLapTime) return;
+        this.timeTrialBest = car.currentLapTime;
+        saveTimeTrialBest(this.trackKey, this.timeTrialBest);
+
+        const medal = getMedal(this.trackKey, this.timeTrialBest);
+        if (!medal || medal === getMedal(this.trackKey, previousBest)) return;
+
+        car.hudMessage = `${medal.label.toUpperCase()} MEDAL!`;
+        car.hudMessageEndTime = this.getTime() + 2000;
+    }
+
+    // Time trial: straight back to the line for a fresh lap
+    restartLap(car, now) {
+        const index = this.cars.indexOf(car);
+        this.placeCarOnGrid(car, 0, 0);
+        car.trackProgress = car.lap + this.track.getProgressDelta(0, car.trackT);
+        car.lastProgressMark = Math.floor(
+            car.trackProgress * this.timingMarksPerLap
+        );
+        car.nextGate = 0;
+        car.splits = [];
+        car.splitMessage = "";
+        car.partialLap = false;
+        car.sectorRespawned = false;
+        car.strayStartTime = null;
+        car.wrongWayStartTime = null;
+        car.wrongWay = false;
+        car.lapStartTime = now;
+        car.currentLapTime = 0;
+
+        this.lapSamples[index] = [];
+        this.lastSampleTimes[index] = 0;
+        this.ghostStartTime = now;
+        this.ghostCursor = 0;
+        this.ghostLastTime = 0;
+    }
+
+    finishCar(car) {
+        const now = this.getTime();
+        car.finished = true;
+        car.finishTime = now;
+        this.finishOrder.push(car);
+        car.finishPosition = this.finishOrder.length;
+
+        // Finished cars cruise round on autopilot, out of everyone's way
+        car.ai = new AIDriver(car, this.track, "easy");
+
+        if (!this.winner) {
+            this.winner = car;
+            this.finishDeadline = now + this.finishGraceMs;
+            soundManager.playWin();
+        }
+
+        if (this.finishOrder.length === this.cars.length) {
+            this.endRace();
+        }
+    }
+
+    // Elimination races are decided on points, so they end straight away
+    declareWinner(car) {
+        this.winner = car;
+        soundManager.playWin();
+        this.endRace();
+    }
+
+    endRace() {
+        this.raceOver = true;
+        soundManager.stopMusic();
+        soundManager.stopEngineSound();
+
+        // Show finish buttons
+        document.getElementById("finishBackBtn").style.display = "block";
+        document.getElementById("rematchBtn").style.display = "block";
+        document.getElementById("backBtn").style.display = "none";
+        document.getElementById("restartBtn").style.display = "none";
+
+        if (this.onRaceEnd) {
+            this.onRaceEnd(this);
+        }
+    }
+
+    recordPlayerLap(car, index) {
+        const lapTimestamp = Date.now();
+        const now = this.getTime();
+        const { entries, rank } = addLeaderboardEntry(this.trackKey, {
+            time: car.currentLapTime,
+            playerIndex: car.playerIndex,
+            playerCount: this.playerCount,
+            timestamp: lapTimestamp,
+        });
+        this.leaderboard = entries;
+        if (rank) {
+            car.hudMessage = rank === 1 ? "NEW RECORD!" : `TOP ${rank}`;
+            car.hudMessageEndTime = now + 1400;
+            if (rank === 1) {
+                soundManager.playNewRecord();
             }
-        } else if (distance > 200) {
-            car.crossedFinishLine = false;
+        }
+
+        this.lapSamples[index].push({
+            t: car.currentLapTime,
+            x: car.x,
+            y: car.y,
+            angle: car.angle,
+        });
+
+        if (!this.bestLap || car.currentLapTime < this.bestLap.time) {
+            this.setBestLap(
+                car.currentLapTime,
+                this.lapSamples[index],
+                car.splits
+            );
         }
     }
 
@@ -2114,29 +4231,45 @@ class Game {
     }
 
     update(dtScale) {
-        if (this.winner) return;
+        if (this.raceOver || this.paused) return;
+
+        const now = this.getTime();
         if (this.countdownActive) {
             this.cars.forEach((car) => {
                 car.currentLapTime = 0;
             });
+            this.updateCountdown(now);
             return;
         }
 
-        const now = Date.now();
         const deltaMs = dtScale * (1000 / 60);
 
         this.handleInput(dtScale);
 
         this.cars.forEach((car, index) => {
             car.tiresOnTrackRatio = this.track.checkCarOnTrack(car);
-            car.update(dtScale);
-            this.checkCheckpoint(car);
-            this.recordLapSample(car, index);
-            this.checkLapCompletion(car, index);
+            car.surface = this.track.getCarSurface(car);
+            car.update(dtScale, now);
+            this.updateTrackProgress(car);
+            if (this.usesLaps && !car.finished) {
+                this.recordLapSample(car, index);
+                this.checkGates(car, index, car.prevX, car.prevY, car.x, car.y);
+            }
+            // Measured from the last check so collision pushes are covered too
+            car.prevX = car.x;
+            car.prevY = car.y;
+            this.updateRecovery(car, now);
+            this.recordProgressStamps(car, now);
         });
 
+        if (this.itemsEnabled) {
+            this.updateItems(dtScale, now);
+        }
+
         this.updateSkidMarks(now);
-        this.applySlipstream(now);
+        if (this.slipstreamEnabled) {
+            this.applySlipstream(now);
+        }
 
         this.cars.forEach((car) => {
             if (now < car.slipstreamEndTime && car.speed > 0) {
@@ -2149,13 +4282,94 @@ class Game {
             }
         });
 
-        this.resolveCarCollisions(now);
+        this.resolveObstacleCollisions(now);
+        this.resolveHazardCollisions(now);
+        if (this.collisionsEnabled) {
+            this.resolveCarCollisions(now);
+        }
         this.updateParticles(dtScale, deltaMs);
+        this.updateStandings();
+
+        if (this.sharedCamera) {
+            this.updateSharedCamera(dtScale);
+            this.checkEliminations(now);
+        }
+
+        if (this.finishDeadline && now >= this.finishDeadline) {
+            this.endRace();
+        }
 
         // Update engine sound based on car speed
         soundManager.updateEngineSound(this.cars);
     }
 
+    // The shared camera trails the leader, looking a little up the road
+    updateSharedCamera(dtScale) {
+        const leader = this.getLeader();
+        const lookAhead = 120;
+        const targetX = leader.x + Math.cos(leader.angle - Math.PI / 2) * lookAhead;
+        const targetY = leader.y + Math.sin(leader.angle - Math.PI / 2) * lookAhead;
+
+        if (!this.cameraPosition) {
+            this.cameraPosition = { x: targetX, y: targetY };
+            return;
+        }
+
+        const follow = 1 - Math.pow(1 - 0.12, dtScale);
+        this.cameraPosition.x += (targetX - this.cameraPosition.x) * follow;
+        this.cameraPosition.y += (targetY - this.cameraPosition.y) * follow;
+    }
+
+    isCarOffScreen(car) {
+        const margin = car.getCollisionRadius();
+        const halfW = this.canvas.width / 2 + margin;
+        const halfH = this.canvas.height / 2 + margin;
+        return (
+            Math.abs(car.x - this.cameraPosition.x) > halfW ||
+            Math.abs(car.y - this.cameraPosition.y) > halfH
+        );
+    }
+
+    checkEliminations(now) {
+        if (this.raceOver || now < this.roundFreezeEndTime) return;
+
+        const leader = this.getLeader();
+        const dropped = this.cars.filter(
+            (car) => car !== leader && this.isCarOffScreen(car)
+        );
+        if (dropped.length === 0) return;
+
+        leader.points++;
+        soundManager.playLapComplete();
+
+        if (leader.points >= this.pointsToWin) {
+            this.declareWinner(leader);
+            return;
+        }
+
+        this.roundMessage = `${leader.getDisplayName()} scores!`;
+        this.roundFreezeEndTime = now + 1500;
+        this.respawnAtLeader(leader);
+    }
+
+    // Line everyone up at the leader's progress point, leader in front
+    respawnAtLeader(leader) {
+        const t = leader.trackT;
+        const progress = leader.trackProgress;
+        const order = [...this.cars].sort(
+            (a, b) => b.trackProgress - a.trackProgress
+        );
+
+        order.forEach((car, rank) => {
+            this.placeCarOnGrid(car, t, this.cars.length - 1 - rank);
+            car.trackProgress =
+                progress + this.track.getProgressDelta(t, car.trackT);
+        });
+
+        this.cameraPosition = null;
+        this.updateSharedCamera(1);
+    }
+
     getViewport(playerIndex) {
         const w = this.canvas.width;
         const h = this.canvas.height;
@@ -2186,10 +4400,42 @@ class Game {
 
     draw() {
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        const now = Date.now();
+        const now = this.getTime();
+
+        if (this.sharedCamera) {
+            this.drawSharedView(now);
+        } else {
+            this.drawSplitViews(now);
+        }
+
+        if (this.raceMode === "race" && this.cars.length > 1) {
+            this.drawTimingTower();
+        }
+
+        this.drawCountdownOverlay();
+        this.drawFinishGraceTimer();
+
+        if (this.raceOver) {
+            this.drawResultsOverlay();
+        }
+    }
 
+    getCameraShake(car, now) {
+        if (now >= car.cameraShakeEndTime || car.cameraShakeStrength <= 0) {
+            return { x: 0, y: 0 };
+        }
+        const remaining = Math.max(0, car.cameraShakeEndTime - now);
+        const t = Math.min(remaining / 140, 1);
+        const strength = car.cameraShakeStrength * t;
+        return {
+            x: (Math.random() * 2 - 1) * strength,
+            y: (Math.random() * 2 - 1) * strength,
+        };
+    }
+
+    drawSplitViews(now) {
         // Draw each player's viewport
-        this.cars.forEach((car, index) => {
+        this.getHumanCars().forEach((car, index) => {
             const viewport = this.getViewport(index);
 
             this.ctx.save();
@@ -2204,45 +4450,15 @@ class Game {
             );
             this.ctx.clip();
 
-            let shakeX = 0;
-            let shakeY = 0;
-            if (now < car.cameraShakeEndTime && car.cameraShakeStrength > 0) {
-                const remaining = Math.max(0, car.cameraShakeEndTime - now);
-                const t = Math.min(remaining / 140, 1);
-                const strength = car.cameraShakeStrength * t;
-                shakeX = (Math.random() * 2 - 1) * strength;
-                shakeY = (Math.random() * 2 - 1) * strength;
-            }
+            const shake = this.getCameraShake(car, now);
 
             // Calculate camera position centered on this car
             const camera = {
-                x: car.x - viewport.width / 2 + shakeX,
-                y: car.y - viewport.height / 2 + shakeY,
+                x: car.x - viewport.width / 2 + shake.x,
+                y: car.y - viewport.height / 2 + shake.y,
             };
 
-            // Translate to viewport position then apply camera offset
-            this.ctx.translate(viewport.x - camera.x, viewport.y - camera.y);
-
-            this.drawBackground(camera, viewport);
-
-            // Draw track
-            this.drawTrack();
-
-            this.drawSkidMarks(camera, viewport, now);
-
-            // Draw ghost lap
-            this.drawGhost();
-
-            this.drawSlipstreamTrails(now);
-
-            // Draw all cars
-            this.cars.forEach((c) => c.draw(this.ctx));
-
-            this.drawParticles(camera, viewport);
-
-            // Draw finish line and checkpoint
-            this.drawFinishLine();
-            this.drawCheckpoint();
+            this.drawWorld(camera, viewport, now);
 
             this.ctx.restore();
 
@@ -2261,13 +4477,145 @@ class Game {
                 );
             }
         });
+    }
 
-        this.drawCountdownOverlay();
+    drawSharedView(now) {
+        const viewport = {
+            x: 0,
+            y: 0,
+            width: this.canvas.width,
+            height: this.canvas.height,
+        };
+        if (!this.cameraPosition) {
+            this.updateSharedCamera(1);
+        }
+
+        // Shake the shared screen with the strongest hit on any car
+        const shake = this.cars
+            .map((car) => this.getCameraShake(car, now))
+            .reduce((a, b) => (Math.hypot(b.x, b.y) > Math.hypot(a.x, a.y) ? b : a));
+        const camera = {
+            x: this.cameraPosition.x - viewport.width / 2 + shake.x,
+            y: this.cameraPosition.y - viewport.height / 2 + shake.y,
+        };
+
+        this.ctx.save();
+        this.drawWorld(camera, viewport, now);
+        this.ctx.restore();
 
-        // Draw winner overlay
-        if (this.winner) {
-            this.drawWinnerOverlay();
+        // HUD boxes sit in the corners a split-screen layout would use
+        this.getHumanCars().forEach((car, index) => {
+            this.drawHUD(car, this.getViewport(index));
+        });
+
+        this.drawPointsBar();
+        this.drawRoundOverlay(now);
+    }
+
+    drawWorld(camera, viewport, now) {
+        // Translate to viewport position then apply camera offset
+        this.ctx.translate(viewport.x - camera.x, viewport.y - camera.y);
+
+        this.drawBackground(camera, viewport);
+
+        // Draw track
+        this.drawTrack();
+
+        this.drawSurfaces();
+
+        this.drawSkidMarks(camera, viewport, now);
+
+        this.drawObstacles();
+        this.drawHazards(now);
+
+        // Draw ghost lap
+        this.drawGhost();
+
+        this.drawSlipstreamTrails(now);
+
+        if (this.itemsEnabled) {
+            this.drawItems(now);
         }
+
+        // Draw all cars
+        this.cars.forEach((c) => c.draw(this.ctx, now));
+
+        this.drawParticles(camera, viewport);
+
+        // Draw finish line and sector gates
+        this.drawFinishLine();
+        this.drawSectorGates();
+    }
+
+    drawTimingTower() {
+        const ctx = this.ctx;
+        const rowH = 20;
+        const width = 150;
+        const x = this.canvas.width - width - 10;
+        const y = this.canvas.height / 2 - (this.standings.length * rowH) / 2;
+
+        ctx.save();
+        ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+        ctx.fillRect(x, y, width, this.standings.length * rowH);
+        ctx.font = "bold 11px Arial";
+
+        this.standings.forEach((car, i) => {
+            const rowY = y + i * rowH + 14;
+            ctx.textAlign = "left";
+            ctx.fillStyle = "#ffffff";
+            ctx.fillText(`${i + 1}`, x + 8, rowY);
+            ctx.fillStyle = car.color;
+            ctx.fillRect(x + 22, rowY - 9, 4, 10);
+            ctx.fillText(
+                car.isAI ? `CPU${car.aiIndex + 1}` : `P${car.playerIndex + 1}`,
+                x + 32,
+                rowY
+            );
+
+            ctx.textAlign = "right";
+            ctx.fillStyle = "#aaaaaa";
+            const gap = i === 0 ? "LEADER" : this.getGapLabel(car, this.standings[i - 1]);
+            ctx.fillText(gap, x + width - 8, rowY);
+        });
+
+        ctx.restore();
+    }
+
+    drawPointsBar() {
+        const ctx = this.ctx;
+        const slotW = 70;
+        const totalW = slotW * this.cars.length;
+        const x = this.canvas.width / 2 - totalW / 2;
+        const y = this.canvas.height - 60;
+
+        ctx.save();
+        ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+        ctx.fillRect(x, y, totalW, 30);
+        ctx.textAlign = "center";
+        ctx.font = "bold 14px Arial";
+        this.cars.forEach((car, i) => {
+            ctx.fillStyle = car.color;
+            ctx.fillText(
+                `${car.points}/${this.pointsToWin}`,
+                x + slotW * i + slotW / 2,
+                y + 20
+            );
+        });
+        ctx.restore();
+    }
+
+    drawRoundOverlay(now) {
+        if (this.raceOver || now >= this.roundFreezeEndTime) return;
+
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.textAlign = "center";
+        ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+        ctx.fillRect(this.canvas.width / 2 - 180, this.canvas.height / 2 - 40, 360, 60);
+        ctx.fillStyle = "#ffd166";
+        ctx.font = "bold 28px Arial";
+        ctx.fillText(this.roundMessage, this.canvas.width / 2, this.canvas.height / 2);
+        ctx.restore();
     }
 
     getPattern(pattern) {
@@ -2470,6 +4818,7 @@ class Game {
     drawGhost() {
         if (
             this.countdownActive ||
+            !this.usesLaps ||
             !this.ghostEnabled ||
             !this.ghostSamples ||
             !this.ghostLapTime
@@ -2477,7 +4826,7 @@ class Game {
             return;
         }
 
-        const elapsed = Date.now() - this.ghostStartTime;
+        const elapsed = this.getTime() - this.ghostStartTime;
         const sampleTime = elapsed % this.ghostLapTime;
         const sample = this.getGhostSampleAt(sampleTime);
         if (!sample) return;
@@ -2497,7 +4846,7 @@ class Game {
     drawCountdownOverlay() {
         if (!this.countdownActive && !this.countdownEndTime) return;
 
-        const now = Date.now();
+        const now = this.getTime();
         const elapsed = now - this.countdownStartTime;
         const showGo =
             !this.countdownActive &&
@@ -2656,23 +5005,188 @@ class Game {
         this.ctx.restore();
     }
 
-    drawCheckpoint() {
-        const checkpointPoint = this.track.getTrackPoint(0.5);
-        const direction = this.track.getTrackDirection(0.5);
+    drawSurfaces() {
+        const ctx = this.ctx;
 
-        this.ctx.save();
-        this.ctx.translate(checkpointPoint.x, checkpointPoint.y);
-        this.ctx.rotate(direction + Math.PI / 2);
+        this.track.surfaces.forEach((zone) => {
+            const surface = SURFACE_TYPES[zone.type];
+            ctx.save();
+            ctx.translate(zone.x, zone.y);
+            ctx.rotate(zone.angle);
+            ctx.beginPath();
+            if (zone.shape === "ellipse") {
+                ctx.ellipse(0, 0, zone.w / 2, zone.h / 2, 0, 0, Math.PI * 2);
+            } else {
+                ctx.rect(-zone.w / 2, -zone.h / 2, zone.w, zone.h);
+            }
+            ctx.fillStyle = surface.base;
+            ctx.fill();
+            ctx.globalAlpha = surface.pattern.alpha;
+            ctx.fillStyle = this.getPattern(surface.pattern);
+            ctx.fill();
+            ctx.globalAlpha = 1;
+            ctx.strokeStyle = darkenColor(surface.base, 0.2);
+            ctx.lineWidth = 2;
+            ctx.stroke();
 
-        const checkpointWidth = this.track.width;
+            if (zone.type === "boost") {
+                // Chevrons pointing the way the race goes (towards -x)
+                ctx.strokeStyle = "#ffffff";
+                ctx.lineWidth = 4;
+                ctx.lineJoin = "round";
+                for (let i = -1; i <= 1; i++) {
+                    const x = i * 18;
+                    ctx.beginPath();
+                    ctx.moveTo(x + 6, -zone.h / 3);
+                    ctx.lineTo(x - 6, 0);
+                    ctx.lineTo(x + 6, zone.h / 3);
+                    ctx.stroke();
+                }
+            }
 
-        this.ctx.strokeStyle = this.trackTheme.checkpoint;
-        this.ctx.lineWidth = 6;
-        this.ctx.beginPath();
-        this.ctx.moveTo(-checkpointWidth / 2, 0);
-        this.ctx.lineTo(checkpointWidth / 2, 0);
-        this.ctx.stroke();
+            ctx.restore();
+        });
+    }
+
+    drawObstacles() {
+        const ctx = this.ctx;
+
+        this.track.obstacles.forEach((obstacle) => {
+            const edge = darkenColor(obstacle.color, 0.35);
+            ctx.save();
+            ctx.translate(obstacle.x, obstacle.y);
+            ctx.rotate(obstacle.angle);
+
+            // Soft drop shadow
+            ctx.fillStyle = "rgba(0, 0, 0, 0.25)";
+            if (obstacle.shape === "circle") {
+                ctx.beginPath();
+                ctx.arc(3, 4, obstacle.radius, 0, Math.PI * 2);
+                ctx.fill();
+            } else {
+                ctx.fillRect(
+                    -obstacle.w / 2 + 3,
+                    -obstacle.h / 2 + 4,
+                    obstacle.w,
+                    obstacle.h
+                );
+            }
+
+            ctx.fillStyle = obstacle.color;
+            ctx.strokeStyle = edge;
+            ctx.lineWidth = 2;
+
+            if (obstacle.shape === "circle") {
+                const r = obstacle.radius;
+                ctx.beginPath();
+                ctx.arc(0, 0, r, 0, Math.PI * 2);
+                if (obstacle.kind === "cereal") {
+                    // Cereal loops have a hole in the middle
+                    ctx.arc(0, 0, r * 0.4, 0, Math.PI * 2, true);
+                }
+                ctx.fill("evenodd");
+                ctx.stroke();
+
+                if (obstacle.kind === "ball" && obstacle.number) {
+                    ctx.fillStyle = "#ffffff";
+                    ctx.beginPath();
+                    ctx.arc(0, 0, r * 0.5, 0, Math.PI * 2);
+                    ctx.fill();
+                    ctx.fillStyle = "#111111";
+                    ctx.font = `bold ${Math.round(r * 0.7)}px Arial`;
+                    ctx.textAlign = "center";
+                    ctx.textBaseline = "middle";
+                    ctx.fillText(obstacle.number, 0, 0.5);
+                } else if (obstacle.kind === "pot") {
+                    ctx.fillStyle = "#4a3222";
+                    ctx.beginPath();
+                    ctx.arc(0, 0, r * 0.72, 0, Math.PI * 2);
+                    ctx.fill();
+                    ctx.fillStyle = "#4f9d3a";
+                    ctx.beginPath();
+                    ctx.arc(0, 0, r * 0.35, 0, Math.PI * 2);
+                    ctx.fill();
+                } else if (obstacle.kind === "duck") {
+                    ctx.fillStyle = "#ff8c1a";
+                    ctx.beginPath();
+                    ctx.moveTo(r * 0.7, -r * 0.2);
+                    ctx.lineTo(r * 1.25, 0);
+                    ctx.lineTo(r * 0.7, r * 0.2);
+                    ctx.fill();
+                    ctx.fillStyle = "#111111";
+                    ctx.beginPath();
+                    ctx.arc(r * 0.35, -r * 0.35, r * 0.1, 0, Math.PI * 2);
+                    ctx.fill();
+                } else if (obstacle.kind !== "cereal") {
+                    ctx.fillStyle = "rgba(255, 255, 255, 0.35)";
+                    ctx.beginPath();
+                    ctx.arc(-r * 0.35, -r * 0.35, r * 0.3, 0, Math.PI * 2);
+                    ctx.fill();
+                }
+            } else {
+                const w = obstacle.w;
+                const h = obstacle.h;
+                if (obstacle.kind === "pencil") {
+                    // Pink eraser, yellow body, sharpened tip
+                    const tip = Math.min(16, w * 0.2);
+                    ctx.fillStyle = "#ff8fa3";
+                    ctx.fillRect(-w / 2, -h / 2, 10, h);
+                    ctx.fillStyle = obstacle.color;
+                    ctx.fillRect(-w / 2 + 10, -h / 2, w - 10 - tip, h);
+                    ctx.fillStyle = "#e8c9a0";
+                    ctx.beginPath();
+                    ctx.moveTo(w / 2 - tip, -h / 2);
+                    ctx.lineTo(w / 2, 0);
+                    ctx.lineTo(w / 2 - tip, h / 2);
+                    ctx.fill();
+                } else {
+                    ctx.fillRect(-w / 2, -h / 2, w, h);
+                    ctx.strokeRect(-w / 2, -h / 2, w, h);
+                }
+
+                if (obstacle.kind === "block" && obstacle.letter) {
+                    ctx.fillStyle = "#ffffff";
+                    ctx.font = `bold ${Math.round(h * 0.7)}px Arial`;
+                    ctx.textAlign = "center";
+                    ctx.textBaseline = "middle";
+                    ctx.fillText(obstacle.letter, 0, 1);
+                } else if (obstacle.kind === "fork") {
+                    ctx.strokeStyle = edge;
+                    ctx.lineWidth = 1.5;
+                    for (let i = -1; i <= 1; i++) {
+                        ctx.beginPath();
+                        ctx.moveTo(w / 2 - 24, (i * h) / 3);
+                        ctx.lineTo(w / 2, (i * h) / 3);
+                        ctx.stroke();
+                    }
+                }
+            }
+
+            ctx.restore();
+        });
+    }
+
+    // Sector gates (the finish line is drawn separately)
+    drawSectorGates() {
+        const gates = this.track.gates.slice(0, -1);
+        const gateWidth = this.track.width;
+
+        this.ctx.save();
+        this.ctx.strokeStyle = this.trackTheme.checkpoint;
+        this.ctx.lineWidth = 6;
+        gates.forEach((gate) => {
+            const point = this.track.getTrackPoint(gate.t);
+            const direction = this.track.getTrackDirection(gate.t);
 
+            this.ctx.save();
+            this.ctx.translate(point.x, point.y);
+            this.ctx.rotate(direction + Math.PI / 2);
+            this.ctx.beginPath();
+            this.ctx.moveTo(-gateWidth / 2, 0);
+            this.ctx.lineTo(gateWidth / 2, 0);
+            this.ctx.stroke();
+            this.ctx.restore();
+        });
         this.ctx.restore();
     }
 
@@ -2680,7 +5194,7 @@ class Game {
         const padding = 10;
         const x = viewport.x + padding;
         const y = viewport.y + padding;
-        const now = Date.now();
+        const now = this.getTime();
         const boxW = 180;
         const boxH = 98;
 
@@ -2693,17 +5207,34 @@ class Game {
         this.ctx.font = "bold 12px Arial";
         this.ctx.fillText(`P${car.playerIndex + 1}`, x + 10, y + 16);
 
+        // Race position
+        if (this.cars.length > 1) {
+            this.ctx.fillStyle = "#ffffff";
+            this.ctx.font = "bold 14px Arial";
+            this.ctx.fillText(
+                `${formatOrdinal(car.position)}/${this.cars.length}`,
+                x + 10,
+                y + 44
+            );
+        }
+
         if (now < car.slipstreamEndTime && car.speed > 0) {
             this.ctx.fillStyle = "#4fd1ff";
             this.ctx.font = "bold 10px Arial";
             this.ctx.fillText("DRAFT", x + 42, y + 16);
         }
 
-        // Lap counter
+        // Lap counter (points in elimination mode)
         this.ctx.fillStyle = "#ffffff";
         this.ctx.font = "12px Arial";
         this.ctx.textAlign = "right";
-        this.ctx.fillText(`${car.lap}/${this.lapsToWin}`, x + boxW - 10, y + 16);
+        let counter = `${car.lap}/${this.lapsToWin}`;
+        if (this.raceMode === "elimination") {
+            counter = `★ ${car.points}/${this.pointsToWin}`;
+        } else if (this.timeTrial) {
+            counter = `LAP ${car.lap + 1}`;
+        }
+        this.ctx.fillText(counter, x + boxW - 10, y + 16);
 
         // Speed display (large, centered)
         this.ctx.fillStyle = "#ffffff";
@@ -2714,16 +5245,100 @@ class Game {
         this.ctx.fillStyle = "#888888";
         this.ctx.fillText("km/h", x + boxW / 2, y + 62);
 
-        // Current lap time
-        this.ctx.fillStyle = "#ffffff";
-        this.ctx.font = "10px Arial";
-        this.ctx.fillText(formatTime(car.currentLapTime), x + boxW / 2, y + 78);
+        // Current lap time, or the result once the car has finished
+        if (car.finished) {
+            this.ctx.fillStyle = "#ffd166";
+            this.ctx.font = "bold 10px Arial";
+            this.ctx.fillText(
+                `FINISHED ${formatOrdinal(car.finishPosition)}`,
+                x + boxW / 2,
+                y + 78
+            );
+        } else {
+            this.ctx.fillStyle = "#ffffff";
+            this.ctx.font = "10px Arial";
+            this.ctx.fillText(formatTime(car.currentLapTime), x + boxW / 2, y + 78);
+        }
 
         // Personal best lap time (session)
         const bestLabel = car.bestLapTime ? formatTime(car.bestLapTime) : "--:--.--";
         this.ctx.fillStyle = "#aaaaaa";
         this.ctx.fillText(`BEST ${bestLabel}`, x + boxW / 2, y + 92);
 
+        // Held item slot beside the main box
+        if (this.itemsEnabled) {
+            const slotX = x + boxW + 4;
+            this.ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+            this.ctx.fillRect(slotX, y, 40, 40);
+            this.ctx.strokeStyle = car.item ? "#ffcc00" : "#444444";
+            this.ctx.lineWidth = 2;
+            this.ctx.strokeRect(slotX + 1, y + 1, 38, 38);
+            if (car.item) {
+                this.ctx.font = "22px Arial";
+                this.ctx.fillText(ITEM_TYPES[car.item].icon, slotX + 20, y + 28);
+            }
+        }
+
+        // Split delta flashes at each gate; in between, the running gap to
+        // the ghost
+        let deltaLabel = null;
+        let deltaColor = "#ffffff";
+        if (car.splitMessage && now < car.splitMessageEndTime) {
+            deltaLabel = car.splitMessage;
+            deltaColor = car.splitColor;
+        } else if (!car.finished && !this.countdownActive) {
+            const ghostDelta = this.getGhostDelta(car);
+            if (ghostDelta !== null) {
+                deltaLabel = formatDelta(ghostDelta);
+                deltaColor = ghostDelta <= 0 ? "#4ade80" : "#ff5a5a";
+            }
+        }
+        if (deltaLabel) {
+            this.ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+            this.ctx.fillRect(x, y + boxH + 4, boxW, 24);
+            this.ctx.fillStyle = deltaColor;
+            this.ctx.font = "bold 14px Arial";
+            this.ctx.fillText(deltaLabel, x + boxW / 2, y + boxH + 21);
+        }
+
+        // Time trial: the next medal to chase (editor tracks have no targets)
+        if (this.timeTrial && TRACK_MEDAL_TIMES[this.trackKey]) {
+            const next = getNextMedal(this.trackKey, this.timeTrialBest);
+            const medalY = y + boxH + 32;
+            this.ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+            this.ctx.fillRect(x, medalY, boxW, 22);
+            this.ctx.font = "bold 11px Arial";
+            if (next) {
+                const target = TRACK_MEDAL_TIMES[this.trackKey][next.id];
+                this.ctx.fillStyle = next.color;
+                this.ctx.fillText(
+                    `${next.icon} ${next.label.toUpperCase()} ${formatTime(target)}`,
+                    x + boxW / 2,
+                    medalY + 15
+                );
+            } else {
+                this.ctx.fillStyle = MEDALS[0].color;
+                this.ctx.fillText(
+                    `${MEDALS[0].icon} ALL MEDALS EARNED`,
+                    x + boxW / 2,
+                    medalY + 15
+                );
+            }
+        }
+
+        if (car.wrongWay && !car.finished && Math.floor(now / 300) % 2 === 0) {
+            this.ctx.save();
+            this.ctx.fillStyle = "#ff3b3b";
+            this.ctx.strokeStyle = "rgba(0, 0, 0, 0.8)";
+            this.ctx.lineWidth = 4;
+            this.ctx.font = "bold 28px Arial";
+            const warnX = viewport.x + viewport.width / 2;
+            const warnY = viewport.y + viewport.height * 0.3;
+            this.ctx.strokeText("WRONG WAY", warnX, warnY);
+            this.ctx.fillText("WRONG WAY", warnX, warnY);
+            this.ctx.restore();
+        }
+
         if (car.hudMessage && now < car.hudMessageEndTime) {
             const remaining = Math.max(0, car.hudMessageEndTime - now);
             const t = Math.min(remaining / 1400, 1);
@@ -2746,6 +5361,10 @@ class Game {
             for (let j = i + 1; j < this.cars.length; j++) {
                 const carA = this.cars[i];
                 const carB = this.cars[j];
+                if (carA.finished || carB.finished) continue;
+                if (carA.isInvulnerable(now) || carB.isInvulnerable(now)) {
+                    continue;
+                }
                 const dx = carB.x - carA.x;
                 const dy = carB.y - carA.y;
                 const dist = Math.hypot(dx, dy);
@@ -2758,10 +5377,13 @@ class Game {
                 const ny = dy / dist;
                 const overlap = minDist - dist;
 
-                carA.x -= nx * overlap * 0.5;
-                carA.y -= ny * overlap * 0.5;
-                carB.x += nx * overlap * 0.5;
-                carB.y += ny * overlap * 0.5;
+                // Heavier cars get pushed less
+                const shareA = carB.mass / (carA.mass + carB.mass);
+                const shareB = 1 - shareA;
+                carA.x -= nx * overlap * shareA;
+                carA.y -= ny * overlap * shareA;
+                carB.x += nx * overlap * shareB;
+                carB.y += ny * overlap * shareB;
 
                 const forwardAX = Math.cos(carA.angle - Math.PI / 2);
                 const forwardAY = Math.sin(carA.angle - Math.PI / 2);
@@ -2784,43 +5406,27 @@ class Game {
                 if (impactIntensity > 0.22) {
                     const contactX = carA.x + nx * carA.getCollisionRadius();
                     const contactY = carA.y + ny * carA.getCollisionRadius();
-                    this.spawnSparks(
+                    this.playImpactEffects(
+                        [carA, carB],
                         contactX,
                         contactY,
                         nx,
                         ny,
-                        impactIntensity
-                    );
-                    soundManager.playCrash(impactIntensity);
-
-                    const shakeMs = 140;
-                    const shakeStrength = Math.min(6, 2 + impactIntensity * 6);
-                    carA.cameraShakeStrength = Math.max(
-                        carA.cameraShakeStrength,
-                        shakeStrength
-                    );
-                    carB.cameraShakeStrength = Math.max(
-                        carB.cameraShakeStrength,
-                        shakeStrength
-                    );
-                    carA.cameraShakeEndTime = Math.max(
-                        carA.cameraShakeEndTime,
-                        now + shakeMs
-                    );
-                    carB.cameraShakeEndTime = Math.max(
-                        carB.cameraShakeEndTime,
-                        now + shakeMs
+                        impactIntensity,
+                        now
                     );
                 }
 
-                const impulse = (-(1 + restitution) * velAlongNormal) / 2;
+                const impulse =
+                    (-(1 + restitution) * velAlongNormal) /
+                    (1 / carA.mass + 1 / carB.mass);
                 const impulseX = impulse * nx;
                 const impulseY = impulse * ny;
 
-                const newVelAX = velAX - impulseX;
-                const newVelAY = velAY - impulseY;
-                const newVelBX = velBX + impulseX;
-                const newVelBY = velBY + impulseY;
+                const newVelAX = velAX - impulseX / carA.mass;
+                const newVelAY = velAY - impulseY / carA.mass;
+                const newVelBX = velBX + impulseX / carB.mass;
+                const newVelBY = velBY + impulseY / carB.mass;
 
                 carA.speed =
                     (newVelAX * forwardAX + newVelAY * forwardAY) * speedDamp;
@@ -2839,6 +5445,175 @@ class Game {
         }
     }
 
+    // Sparks, crash sound and camera shake for the cars in an impact
+    playImpactEffects(cars, x, y, nx, ny, intensity, now) {
+        this.spawnSparks(x, y, nx, ny, intensity);
+        soundManager.playCrash(intensity);
+
+        const shakeMs = 140;
+        const shakeStrength = Math.min(6, 2 + intensity * 6);
+        cars.forEach((car) => {
+            car.cameraShakeStrength = Math.max(
+                car.cameraShakeStrength,
+                shakeStrength
+            );
+            car.cameraShakeEndTime = Math.max(
+                car.cameraShakeEndTime,
+                now + shakeMs
+            );
+        });
+    }
+
+    // Where a car overlaps an obstacle: the push-out normal (obstacle to
+    // car) and depth, or null if they don't touch
+    getObstacleContact(obstacle, car) {
+        const radius = car.getCollisionRadius();
+        const dx = car.x - obstacle.x;
+        const dy = car.y - obstacle.y;
+
+        if (obstacle.shape === "circle") {
+            const dist = Math.hypot(dx, dy);
+            const minDist = obstacle.radius + radius;
+            if (dist === 0 || dist >= minDist) return null;
+            return { nx: dx / dist, ny: dy / dist, overlap: minDist - dist };
+        }
+
+        // Boxes: work in the box's own frame, then rotate the normal back
+        const cos = Math.cos(obstacle.angle);
+        const sin = Math.sin(obstacle.angle);
+        const localX = dx * cos + dy * sin;
+        const localY = -dx * sin + dy * cos;
+        const halfW = obstacle.w / 2;
+        const halfH = obstacle.h / 2;
+        const offX = localX - Math.max(-halfW, Math.min(halfW, localX));
+        const offY = localY - Math.max(-halfH, Math.min(halfH, localY));
+        const dist = Math.hypot(offX, offY);
+        if (dist >= radius) return null;
+
+        let normalX;
+        let normalY;
+        let overlap;
+        if (dist > 0) {
+            normalX = offX / dist;
+            normalY = offY / dist;
+            overlap = radius - dist;
+        } else if (halfW - Math.abs(localX) < halfH - Math.abs(localY)) {
+            // Centre inside the box: leave by the nearest side
+            normalX = Math.sign(localX) || 1;
+            normalY = 0;
+            overlap = halfW - Math.abs(localX) + radius;
+        } else {
+            normalX = 0;
+            normalY = Math.sign(localY) || 1;
+            overlap = halfH - Math.abs(localY) + radius;
+        }
+
+        return {
+            nx: normalX * cos - normalY * sin,
+            ny: normalX * sin + normalY * cos,
+            overlap,
+        };
+    }
+
+    // Obstacles don't move: push the car out and bounce it off
+    resolveObstacleCollisions(now) {
+        const restitution = 0.4;
+        const speedDamp = 0.9;
+
+        this.track.obstacles.forEach((obstacle) => {
+            this.cars.forEach((car) => {
+                if (car.isInvulnerable(now)) return;
+                const contact = this.getObstacleContact(obstacle, car);
+                if (!contact) return;
+
+                const { nx, ny, overlap } = contact;
+                car.x += nx * overlap;
+                car.y += ny * overlap;
+
+                const forwardX = Math.cos(car.angle - Math.PI / 2);
+                const forwardY = Math.sin(car.angle - Math.PI / 2);
+                const velX = forwardX * car.speed;
+                const velY = forwardY * car.speed;
+                const velAlongNormal = velX * nx + velY * ny;
+                if (velAlongNormal >= 0) return;
+
+                const newVelX = velX - (1 + restitution) * velAlongNormal * nx;
+                const newVelY = velY - (1 + restitution) * velAlongNormal * ny;
+                car.speed = (newVelX * forwardX + newVelY * forwardY) * speedDamp;
+
+                const impactIntensity = Math.min(
+                    -velAlongNormal / car.getCruiseSpeed(),
+                    1
+                );
+                if (impactIntensity > 0.15) {
+                    const radius = car.getCollisionRadius();
+                    this.playImpactEffects(
+                        [car],
+                        car.x - nx * radius,
+                        car.y - ny * radius,
+                        -nx,
+                        -ny,
+                        impactIntensity,
+                        now
+                    );
+                }
+            });
+        });
+    }
+
+    // Hazards keep still through the countdown, then run off the race
+    // clock. Time trial runs them off the lap clock instead, so every lap
+    // (and the best-lap ghost replaying one) meets them at the same point
+    // in their motion, restarted laps included.
+    getHazardTime(now) {
+        if (!this.raceStartTime) return 0;
+        if (this.timeTrial) return now - this.cars[0].lapStartTime;
+        return now - this.raceStartTime;
+    }
+
+    // Moving hazards don't bounce cars back, they shove them sideways
+    resolveHazardCollisions(now) {
+        const time = this.getHazardTime(now);
+        const knockSpeed = 6;
+
+        this.track.hazards.forEach((hazard) => {
+            const shapes = this.track.getHazardShapes(hazard, time);
+            this.cars.forEach((car) => {
+                if (car.isInvulnerable(now)) return;
+                const radius = car.getCollisionRadius();
+
+                shapes.some((shape) => {
+                    const dx = car.x - shape.x;
+                    const dy = car.y - shape.y;
+                    const dist = Math.hypot(dx, dy);
+                    const minDist = shape.radius + radius;
+                    if (dist === 0 || dist >= minDist) return false;
+
+                    const nx = dx / dist;
+                    const ny = dy / dist;
+                    car.x += nx * (minDist - dist);
+                    car.y += ny * (minDist - dist);
+                    if (now < car.hazardHitUntil) return true;
+
+                    car.hazardHitUntil = now + 500;
+                    car.knockX = nx * knockSpeed;
+                    car.knockY = ny * knockSpeed;
+                    car.speed *= 0.7;
+                    this.playImpactEffects(
+                        [car],
+                        car.x - nx * radius,
+                        car.y - ny * radius,
+                        -nx,
+                        -ny,
+                        0.6,
+                        now
+                    );
+                    return true;
+                });
+            });
+        });
+    }
+
     applySlipstream(now) {
         const minDot = Math.cos(this.slipstreamAngle);
 
@@ -2868,174 +5643,1685 @@ class Game {
         }
     }
 
-    drawWinnerOverlay() {
-        const ctx = this.ctx;
-        const centerX = this.canvas.width / 2;
-        const centerY = this.canvas.height / 2;
+    // Rows of item boxes across the track at a couple of points per lap
+    createItemBoxes() {
+        const boxes = [];
+        [0.62, 0.12].forEach((t) => {
+            const point = this.track.getTrackPoint(t);
+            const across = this.track.getTrackDirection(t) + Math.PI / 2;
+            [-36, 0, 36].forEach((offset) => {
+                boxes.push({
+                    x: point.x + Math.cos(across) * offset,
+                    y: point.y + Math.sin(across) * offset,
+                    respawnAt: 0,
+                });
+            });
+        });
+        return boxes;
+    }
 
-        ctx.fillStyle = "rgba(0, 0, 0, 0.82)";
-        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    updateItems(dtScale, now) {
+        this.cars.forEach((car) => {
+            if (car.finished) return;
 
-        ctx.textAlign = "center";
-        ctx.fillStyle = "#ffffff";
-        ctx.font = "bold 48px Arial";
-        ctx.fillText(
-            `🏆 Player ${this.winner.playerIndex + 1} Wins! 🏆`,
-            centerX,
-            centerY - 70
+            if (now < car.boostEndTime && car.speed > 0) {
+                car.speed += 0.6 * dtScale;
+            }
+            if (now < car.spinEndTime) {
+                car.angle += 0.2 * dtScale;
+            }
+
+            if (!car.item) {
+                this.collectItemBox(car, now);
+            } else if (car.isAI && now - car.itemPickupTime > 2000) {
+                this.useItem(car, now);
+            }
+        });
+
+        this.updateMarbles(dtScale, now);
+
+        // Oil slicks spin out the first car through them
+        this.oilSlicks = this.oilSlicks.filter((slick) => {
+            if (now >= slick.expiresAt) return false;
+            const victim = this.cars.find(
+                (car) =>
+                    !car.finished &&
+                    (car !== slick.owner || now - slick.dropTime > 800) &&
+                    Math.hypot(car.x - slick.x, car.y - slick.y) <
+                        slick.radius + car.getCollisionRadius() * 0.5
+            );
+            return !(victim && this.hitCar(victim, now, 1));
+        });
+    }
+
+    collectItemBox(car, now) {
+        const box = this.itemBoxes.find(
+            (b) => now >= b.respawnAt && Math.hypot(car.x - b.x, car.y - b.y) < 24
         );
+        if (!box) return;
 
-        const winnerBest = this.winner.bestLapTime
-            ? formatTime(this.winner.bestLapTime)
-            : "--:--.--";
-        ctx.fillStyle = "#dddddd";
-        ctx.font = "bold 18px Arial";
-        ctx.fillText(`Winner best lap: ${winnerBest}`, centerX, centerY - 38);
+        const types = Object.keys(ITEM_TYPES);
+        car.item = types[Math.floor(Math.random() * types.length)];
+        car.itemPickupTime = now;
+        box.respawnAt = now + 4000;
+    }
 
-        const records = (this.leaderboard || []).slice(0, 3);
-        if (records.length > 0) {
-            ctx.fillStyle = "#ffcc00";
-            ctx.font = "bold 20px Arial";
-            ctx.fillText("Track Records", centerX, centerY + 6);
+    useItem(car, now) {
+        if (!this.itemsEnabled || !car.item || car.finished) return;
 
-            ctx.font = "16px Arial";
-            records.forEach((entry, i) => {
-                const playerLabel =
-                    entry.playerIndex === null ? "P?" : `P${entry.playerIndex + 1}`;
-                const countLabel =
-                    typeof entry.playerCount === "number" ? `${entry.playerCount}P` : "";
-                const meta = [playerLabel, countLabel].filter(Boolean).join(" ");
-                ctx.fillStyle = i === 0 ? "#ffd166" : "#ffffff";
-                ctx.fillText(
-                    `${i + 1}. ${formatTime(entry.time)}   ${meta}`,
-                    centerX,
-                    centerY + 34 + i * 22
-                );
-            });
+        const forwardX = Math.cos(car.angle - Math.PI / 2);
+        const forwardY = Math.sin(car.angle - Math.PI / 2);
 
-            ctx.fillStyle = "#777777";
-            ctx.font = "12px Arial";
-            ctx.fillText(
-                "Records are saved locally on this device",
-                centerX,
-                centerY + 112
-            );
+        switch (car.item) {
+            case "boost":
+                car.boostEndTime = now + 1000;
+                break;
+            case "oil":
+                this.oilSlicks.push({
+                    x: car.x - forwardX * 30,
+                    y: car.y - forwardY * 30,
+                    radius: 20,
+                    owner: car,
+                    dropTime: now,
+                    expiresAt: now + 12000,
+                });
+                break;
+            case "marble": {
+                const speed = Math.max(car.speed, 0) + 7;
+                this.marbles.push({
+                    x: car.x + forwardX * 20,
+                    y: car.y + forwardY * 20,
+                    vx: forwardX * speed,
+                    vy: forwardY * speed,
+                    t: car.trackT,
+                    radius: 6,
+                    owner: car,
+                    launchTime: now,
+                    expiresAt: now + 6000,
+                });
+                break;
+            }
+            case "shield":
+                car.shieldEndTime = now + 6000;
+                break;
+            default:
+                break;
         }
 
-        ctx.textAlign = "left";
+        car.item = null;
     }
 
-    formatTime(milliseconds) {
-        return formatTime(milliseconds);
-    }
+    // Marbles roll straight and bounce off the track edges until they hit
+    // a car or run out of time
+    updateMarbles(dtScale, now) {
+        this.marbles = this.marbles.filter((marble) => {
+            if (now >= marble.expiresAt) return false;
+
+            const prevX = marble.x;
+            const prevY = marble.y;
+            marble.x += marble.vx * dtScale;
+            marble.y += marble.vy * dtScale;
+
+            marble.t = this.track.getClosestT(marble.x, marble.y, marble.t);
+            const centre = this.track.getTrackPoint(marble.t);
+            const dx = marble.x - centre.x;
+            const dy = marble.y - centre.y;
+            const dist = Math.hypot(dx, dy);
+            if (dist > this.track.width / 2 - marble.radius && dist > 0) {
+                const nx = dx / dist;
+                const ny = dy / dist;
+                const along = marble.vx * nx + marble.vy * ny;
+                if (along > 0) {
+                    marble.vx -= 2 * along * nx;
+                    marble.vy -= 2 * along * ny;
+                }
+                marble.x = prevX;
+                marble.y = prevY;
+            }
 
-    startCountdown() {
-        this.countdownActive = true;
-        this.countdownStartTime = Date.now();
-        this.countdownEndTime = null;
+            const victim = this.cars.find(
+                (car) =>
+                    !car.finished &&
+                    (car !== marble.owner || now - marble.launchTime > 400) &&
+                    Math.hypot(car.x - marble.x, car.y - marble.y) <
+                        car.getCollisionRadius() + marble.radius
+            );
+            if (!victim) return true;
 
-        soundManager.playCountdown(() => {
-            const now = Date.now();
-            this.countdownActive = false;
-            this.countdownEndTime = now;
-            this.ghostStartTime = now;
-            this.ghostCursor = 0;
-            this.ghostLastTime = 0;
-            this.cars.forEach((car) => {
-                car.lapStartTime = now;
-                car.currentLapTime = 0;
-            });
+            const dx2 = victim.x - marble.x;
+            const dy2 = victim.y - marble.y;
+            const len = Math.hypot(dx2, dy2) || 1;
+            this.spawnSparks(marble.x, marble.y, -dx2 / len, -dy2 / len, 0.8);
+            return !this.hitCar(victim, now, 0.7);
         });
     }
 
-    start() {
-        this.running = true;
-        this.lastFrameTime = null;
-        this.startCountdown();
-        this.gameLoop();
-    }
-
-    stop() {
-        this.running = false;
-    }
-
-    gameLoop(timestamp) {
-        if (!this.running) return;
+    // Returns true if the hit landed (or was soaked up by a shield)
+    hitCar(car, now, strength) {
+        if (car.isInvulnerable(now)) return false;
 
-        if (!this.lastFrameTime) {
-            this.lastFrameTime = timestamp || performance.now();
+        if (now < car.shieldEndTime) {
+            car.shieldEndTime = 0;
+            soundManager.playCrash(0.3);
+            return true;
         }
-        const now = timestamp || performance.now();
-        const deltaMs = Math.min(100, now - this.lastFrameTime);
-        const dtScale = deltaMs / (1000 / 60);
-        this.lastFrameTime = now;
-        this.update(dtScale);
-        this.draw();
-        requestAnimationFrame((t) => this.gameLoop(t));
+
+        car.spinEndTime = now + 900 * strength;
+        car.speed *= 1 - 0.6 * strength;
+        car.cameraShakeStrength = Math.max(car.cameraShakeStrength, 5);
+        car.cameraShakeEndTime = Math.max(car.cameraShakeEndTime, now + 220);
+        soundManager.playCrash(strength);
+        return true;
     }
-}
 
-// Menu and game state management
-let currentGame = null;
-let selectedPlayers = 1;
-let selectedTrack = 0;
-let gameSettings = loadSettings();
+    drawHazards(now) {
+        const ctx = this.ctx;
+        const time = this.getHazardTime(now);
+
+        this.track.hazards.forEach((hazard) => {
+            const shapes = this.track.getHazardShapes(hazard, time);
+            const head = shapes[shapes.length - 1];
+            const r = head.radius;
+            ctx.save();
+
+            if (hazard.kind === "spoon") {
+                // Handle from the pivot, drawn before moving to the head
+                ctx.strokeStyle = darkenColor(hazard.color, 0.25);
+                ctx.lineWidth = 8;
+                ctx.lineCap = "round";
+                ctx.beginPath();
+                ctx.moveTo(hazard.x, hazard.y);
+                ctx.lineTo(head.x, head.y);
+                ctx.stroke();
 
-const trackNames = [
-    "Breakfast Table",
-    "Pool Table",
-    "Office Desk",
-    "Garden Path",
-    "Bathtub Ring",
-    "Bookshelf Slalom",
-    "Treehouse",
-    "Toy Box",
-    "Kitchen Counter",
-    "Dinner Plate",
-];
+                ctx.fillStyle = "#5b5f64";
+                ctx.beginPath();
+                ctx.arc(hazard.x, hazard.y, 6, 0, Math.PI * 2);
+                ctx.fill();
 
-function initMenu() {
-    const menuScreen = document.getElementById("menuScreen");
-    const settingsScreen = document.getElementById("settingsScreen");
-    const leaderboardScreen = document.getElementById("leaderboardScreen");
-    const gameCanvas = document.getElementById("gameCanvas");
-    const backBtn = document.getElementById("backBtn");
-    const finishBackBtn = document.getElementById("finishBackBtn");
-    const startBtn = document.getElementById("startBtn");
-    const settingsBtn = document.getElementById("settingsBtn");
-    const settingsBackBtn = document.getElementById("settingsBackBtn");
+                ctx.translate(head.x, head.y);
+                ctx.rotate(Math.atan2(head.y - hazard.y, head.x - hazard.x));
+                ctx.fillStyle = "rgba(0, 0, 0, 0.25)";
+                ctx.beginPath();
+                ctx.ellipse(3, 4, r * 1.25, r, 0, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.fillStyle = hazard.color;
+                ctx.strokeStyle = darkenColor(hazard.color, 0.35);
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.ellipse(0, 0, r * 1.25, r, 0, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.stroke();
+                ctx.fillStyle = "rgba(255, 255, 255, 0.45)";
+                ctx.beginPath();
+                ctx.ellipse(-3, -3, r * 0.5, r * 0.35, 0, 0, Math.PI * 2);
+                ctx.fill();
+            } else if (hazard.kind === "bubble") {
+                ctx.translate(head.x, head.y);
+                ctx.fillStyle = "rgba(190, 230, 255, 0.35)";
+                ctx.strokeStyle = "rgba(255, 255, 255, 0.85)";
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.arc(0, 0, r, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.stroke();
+                ctx.fillStyle = "rgba(255, 255, 255, 0.8)";
+                ctx.beginPath();
+                ctx.arc(-r * 0.4, -r * 0.4, r * 0.22, 0, Math.PI * 2);
+                ctx.fill();
+            } else {
+                // Marble: glass ball with a swirl that turns as it rolls
+                const offset = Math.hypot(head.x - hazard.x, head.y - hazard.y);
+                const roll = offset / r;
+                ctx.translate(head.x, head.y);
+                ctx.fillStyle = "rgba(0, 0, 0, 0.25)";
+                ctx.beginPath();
+                ctx.arc(3, 4, r, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.fillStyle = hazard.color;
+                ctx.strokeStyle = darkenColor(hazard.color, 0.35);
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.arc(0, 0, r, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.stroke();
+                ctx.strokeStyle = "rgba(255, 255, 255, 0.6)";
+                ctx.beginPath();
+                ctx.arc(0, 0, r * 0.55, roll, roll + Math.PI);
+                ctx.stroke();
+                ctx.fillStyle = "rgba(255, 255, 255, 0.7)";
+                ctx.beginPath();
+                ctx.arc(-r * 0.35, -r * 0.35, r * 0.25, 0, Math.PI * 2);
+                ctx.fill();
+            }
+
+            ctx.restore();
+        });
+    }
+
+    drawItems(now) {
+        const ctx = this.ctx;
+
+        this.itemBoxes.forEach((box) => {
+            if (now < box.respawnAt) return;
+            const bob = Math.sin(now / 250 + box.x) * 2;
+            ctx.save();
+            ctx.translate(box.x, box.y + bob);
+            ctx.rotate(now / 600);
+            ctx.fillStyle = "rgba(255, 204, 0, 0.85)";
+            ctx.strokeStyle = "#ffffff";
+            ctx.lineWidth = 2;
+            ctx.fillRect(-9, -9, 18, 18);
+            ctx.strokeRect(-9, -9, 18, 18);
+            ctx.rotate(-now / 600);
+            ctx.fillStyle = "#1a1a1a";
+            ctx.font = "bold 13px Arial";
+            ctx.textAlign = "center";
+            ctx.textBaseline = "middle";
+            ctx.fillText("?", 0, 1);
+            ctx.restore();
+        });
+
+        this.oilSlicks.forEach((slick) => {
+            ctx.save();
+            ctx.fillStyle = "rgba(20, 14, 30, 0.85)";
+            ctx.beginPath();
+            ctx.ellipse(
+                slick.x,
+                slick.y,
+                slick.radius,
+                slick.radius * 0.7,
+                0,
+                0,
+                Math.PI * 2
+            );
+            ctx.fill();
+            ctx.fillStyle = "rgba(140, 90, 220, 0.35)";
+            ctx.beginPath();
+            ctx.ellipse(
+                slick.x - 5,
+                slick.y - 3,
+                slick.radius * 0.4,
+                slick.radius * 0.25,
+                0,
+                0,
+                Math.PI * 2
+            );
+            ctx.fill();
+            ctx.restore();
+        });
+
+        this.marbles.forEach((marble) => {
+            ctx.save();
+            ctx.fillStyle = "#3b82f6";
+            ctx.beginPath();
+            ctx.arc(marble.x, marble.y, marble.radius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = "rgba(255, 255, 255, 0.7)";
+            ctx.beginPath();
+            ctx.arc(marble.x - 2, marble.y - 2, marble.radius * 0.35, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.restore();
+        });
+
+        this.cars.forEach((car) => {
+            if (now >= car.shieldEndTime) return;
+            ctx.save();
+            ctx.strokeStyle = "rgba(79, 209, 255, 0.8)";
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.arc(car.x, car.y, car.getCollisionRadius() + 8, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.restore();
+        });
+    }
+
+    drawFinishGraceTimer() {
+        if (!this.finishDeadline || this.raceOver) return;
+
+        const remaining = Math.max(0, this.finishDeadline - this.getTime());
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.textAlign = "center";
+        ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+        ctx.fillRect(this.canvas.width / 2 - 110, 20, 220, 30);
+        ctx.fillStyle = "#ffd166";
+        ctx.font = "bold 16px Arial";
+        ctx.fillText(
+            `Race ends in ${Math.ceil(remaining / 1000)}s`,
+            this.canvas.width / 2,
+            41
+        );
+        ctx.restore();
+    }
+
+    // One row per car: finish order, total race time, best lap and gap to the winner
+    getResults() {
+        const winnerTime = this.winner && this.winner.finishTime
+            ? this.winner.finishTime - this.raceStartTime
+            : null;
+
+        return this.standings.map((car, i) => {
+            const totalTime = car.finished ? car.finishTime - this.raceStartTime : null;
+            let gap = "";
+            if (this.raceMode === "elimination") {
+                gap = `${car.points} pts`;
+            } else if (!car.finished) {
+                gap = "DNF";
+            } else if (i > 0 && winnerTime !== null) {
+                gap = `+${formatTime(totalTime - winnerTime)}`;
+            }
+            return {
+                position: i + 1,
+                car,
+                totalTime,
+                bestLapTime: car.bestLapTime,
+                gap,
+            };
+        });
+    }
+
+    drawResultsOverlay() {
+        const ctx = this.ctx;
+        const centerX = this.canvas.width / 2;
+        const centerY = this.canvas.height / 2;
+
+        ctx.fillStyle = "rgba(0, 0, 0, 0.82)";
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        ctx.textAlign = "center";
+        ctx.fillStyle = "#ffffff";
+        ctx.font = "bold 48px Arial";
+        ctx.fillText(
+            `🏆 ${this.winner.getDisplayName()} Wins! 🏆`,
+            centerX,
+            centerY - 190
+        );
+
+        // Results table
+        const columns = [
+            { label: "POS", x: centerX - 250, align: "left" },
+            { label: "DRIVER", x: centerX - 190, align: "left" },
+            { label: "TIME", x: centerX + 40, align: "right" },
+            { label: "BEST LAP", x: centerX + 150, align: "right" },
+            { label: "GAP", x: centerX + 250, align: "right" },
+        ];
+        const headerY = centerY - 140;
+
+        ctx.font = "bold 12px Arial";
+        ctx.fillStyle = "#888888";
+        columns.forEach((column) => {
+            ctx.textAlign = column.align;
+            ctx.fillText(column.label, column.x, headerY);
+        });
+
+        ctx.font = "bold 18px Arial";
+        this.getResults().forEach((row, i) => {
+            const rowY = headerY + 30 + i * 28;
+            const values = [
+                formatOrdinal(row.position),
+                row.car.getDisplayName(),
+                row.totalTime !== null ? formatTime(row.totalTime) : "--:--.--",
+                row.bestLapTime ? formatTime(row.bestLapTime) : "--:--.--",
+                row.gap,
+            ];
+            ctx.fillStyle = row.car.color;
+            columns.forEach((column, c) => {
+                ctx.textAlign = column.align;
+                ctx.fillText(values[c], column.x, rowY);
+            });
+        });
+        ctx.textAlign = "center";
+
+        const records = (this.leaderboard || []).slice(0, 3);
+        if (records.length > 0) {
+            ctx.fillStyle = "#ffcc00";
+            ctx.font = "bold 20px Arial";
+            ctx.fillText("Track Records", centerX, centerY + 20);
+
+            ctx.font = "16px Arial";
+            records.forEach((entry, i) => {
+                const playerLabel =
+                    entry.playerIndex === null ? "P?" : `P${entry.playerIndex + 1}`;
+                const countLabel =
+                    typeof entry.playerCount === "number" ? `${entry.playerCount}P` : "";
+                const meta = [playerLabel, countLabel].filter(Boolean).join(" ");
+                ctx.fillStyle = i === 0 ? "#ffd166" : "#ffffff";
+                ctx.fillText(
+                    `${i + 1}. ${formatTime(entry.time)}   ${meta}`,
+                    centerX,
+                    centerY + 48 + i * 22
+                );
+            });
+
+            const theoreticalBest = this.getTheoreticalBest();
+            if (theoreticalBest !== null) {
+                ctx.fillStyle = "#aaaaaa";
+                ctx.font = "14px Arial";
+                ctx.fillText(
+                    `Theoretical best ${formatTime(theoreticalBest)}`,
+                    centerX,
+                    centerY + 118
+                );
+            }
+
+            ctx.fillStyle = "#777777";
+            ctx.font = "12px Arial";
+            ctx.fillText(
+                "Records are saved locally on this device",
+                centerX,
+                centerY + 138
+            );
+        }
+
+        ctx.textAlign = "left";
+    }
+
+    formatTime(milliseconds) {
+        return formatTime(milliseconds);
+    }
+
+    startCountdown() {
+        this.countdownActive = true;
+        this.countdownStartTime = this.getTime();
+        this.countdownEndTime = null;
+        this.countdownBeeps = 0;
+    }
+
+    // Driven from update() so the lights hold while the game is paused
+    updateCountdown(now) {
+        const elapsed = now - this.countdownStartTime;
+
+        // One beep a second for 3, 2, 1 and GO
+        while (this.countdownBeeps < 4 && elapsed >= this.countdownBeeps * 1000) {
+            soundManager.playCountdownBeep(this.countdownBeeps);
+            this.countdownBeeps++;
+        }
+
+        if (elapsed < this.countdownDuration) return;
+
+        this.countdownActive = false;
+        this.countdownEndTime = now;
+        this.raceStartTime = now;
+        this.ghostStartTime = now;
+        this.ghostCursor = 0;
+        this.ghostLastTime = 0;
+        this.cars.forEach((car) => {
+            car.lapStartTime = now;
+            car.currentLapTime = 0;
+        });
+    }
+
+    getTime() {
+        const wallTime = this.paused ? this.pauseStartTime : Date.now();
+        return wallTime - this.pausedTotal;
+    }
+
+    pause() {
+        if (this.paused || this.raceOver) return;
+        this.paused = true;
+        this.pauseStartTime = Date.now();
+        soundManager.stopEngineSound();
+        soundManager.pauseMusic();
+
+        if (this.onPauseChange) {
+            this.onPauseChange(true);
+        }
+    }
+
+    resume() {
+        if (!this.paused) return;
+        this.pausedTotal += Date.now() - this.pauseStartTime;
+        this.paused = false;
+        soundManager.startMusic();
+
+        if (this.onPauseChange) {
+            this.onPauseChange(false);
+        }
+    }
+
+    togglePause() {
+        if (this.paused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+    }
+
+    // Start on any connected pad toggles pause, once per press
+    checkPauseButtons() {
+        gamepadManager.getConnectedIndices().forEach((index) => {
+            const pressed = gamepadManager.isStartPressed(index);
+            if (pressed && !this.startButtonHeld[index]) {
+                this.togglePause();
+            }
+            this.startButtonHeld[index] = pressed;
+        });
+    }
+
+    // Put everyone back on the grid for another go on the same track,
+    // keeping the controller assignments, music and saved records
+    restartRace() {
+        this.resume();
+        this.cars = [];
+        this.skidMarks = [];
+        this.particles = [];
+        this.winner = null;
+        this.raceOver = false;
+        this.finishDeadline = null;
+        this.finishOrder = [];
+        this.raceStartTime = null;
+        this.standings = [];
+        this.cameraPosition = null;
+        this.roundFreezeEndTime = 0;
+        this.roundMessage = "";
+        this.lapSamples = Array.from({ length: this.playerCount }, () => []);
+        this.lastSampleTimes = Array(this.playerCount).fill(0);
+        this.ghostCursor = 0;
+        this.ghostLastTime = 0;
+        this.itemBoxes.forEach((box) => {
+            box.respawnAt = 0;
+        });
+        this.oilSlicks = [];
+        this.marbles = [];
+        this.initCars();
+
+        document.getElementById("finishBackBtn").style.display = "none";
+        document.getElementById("rematchBtn").style.display = "none";
+        document.getElementById("backBtn").style.display = "block";
+        document.getElementById("restartBtn").style.display = "block";
+        soundManager.startMusic();
+        this.startCountdown();
+    }
+
+    start() {
+        this.running = true;
+        this.lastFrameTime = null;
+        this.startCountdown();
+        this.gameLoop();
+    }
+
+    stop() {
+        this.running = false;
+        this.removeEventListeners();
+    }
+
+    gameLoop(timestamp) {
+        if (!this.running) return;
+
+        if (!this.lastFrameTime) {
+            this.lastFrameTime = timestamp || performance.now();
+        }
+        const now = timestamp || performance.now();
+        const deltaMs = Math.min(100, now - this.lastFrameTime);
+        const dtScale = deltaMs / (1000 / 60);
+        this.lastFrameTime = now;
+        this.checkPauseButtons();
+        this.update(dtScale);
+        this.draw();
+        requestAnimationFrame((t) => this.gameLoop(t));
+    }
+}
+
+// Menu and game state management
+// Shareable track files. A version 1 file looks like:
+//   {
+//     "format": "microRacer.track", "version": 1, "name": "Sofa Sprint",
+//     "width": 120,
+//     "points": [[x, y], ...],            spline control points
+//     "theme": 3,                         or { "extends": 3, "background": {...},
+//                                         "track": {...}, "checkpoint", "vehicle" }
+//     "start": { "point": 0, "reverse": false },
+//     "checkpoints": [0.25, 0.5, 0.75],   sector gates as fractions of the lap
+//     "obstacles": [...], "hazards": [...], "surfaces": [...]
+//   }
+// Props use the theme's fields, except `at` (fraction of the lap from the
+// start line) replaces the spline `t`. Leaving a prop list out keeps the
+// theme's own props. Files are turned into the layout objects Track takes.
+const TRACK_FILE_FORMAT = "microRacer.track";
+const TRACK_FILE_VERSION = 1;
+const TRACK_FILE_MAX_BYTES = 256 * 1024;
+const TRACK_MIN_POINTS = 6;
+const TRACK_MAX_POINTS = 200;
+const TRACK_MIN_WIDTH = 80;
+const TRACK_MAX_WIDTH = 200;
+const TRACK_THEME_COUNT = 10;
+const TRACK_PROP_LIMIT = 40;
+const PATTERN_TYPES = [
+    "dots", "grid", "planks", "speckles", "waves", "tiles",
+    "stripes", "rings", "confetti", "grain", "tartan",
+];
+const CUSTOM_TRACKS_KEY = "microRacer.customTracks";
+const CUSTOM_TRACK_LIMIT = 20;
+
+const isColor = (value) =>
+    typeof value === "string" && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value);
+const isNumberIn = (value, min, max) =>
+    typeof value === "number" && Number.isFinite(value) && value >= min && value <= max;
+const roundTo = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Fields each kind of prop needs, checked before it reaches the renderer
+const TRACK_PROP_RULES = {
+    obstacles: (prop) =>
+        isColor(prop.color) &&
+        ((prop.shape === "circle" && isNumberIn(prop.radius, 2, 200)) ||
+            (prop.shape === "box" && isNumberIn(prop.w, 2, 400) && isNumberIn(prop.h, 2, 400))),
+    hazards: (prop) =>
+        (prop.kind === "bubble" || isColor(prop.color)) &&
+        isNumberIn(prop.radius, 2, 100) &&
+        isNumberIn(prop.period, 500, 60000) &&
+        (prop.motion === "swing"
+            ? isNumberIn(prop.length, 10, 400) && isNumberIn(prop.amplitude, 0, Math.PI)
+            : ["cross", "drift"].includes(prop.motion) && isNumberIn(prop.span, 10, 400)),
+    surfaces: (prop) =>
+        Object.prototype.hasOwnProperty.call(SURFACE_TYPES, prop.type) &&
+        ["ellipse", "box"].includes(prop.shape) &&
+        isNumberIn(prop.w, 10, 1000) &&
+        isNumberIn(prop.h, 10, 1000),
+};
+
+// Every field a prop may carry, each with its own check. Anything else in
+// a file is refused rather than passed on to placement and drawing.
+const isPropKind = (value) => typeof value === "string" && /^[a-z]{1,16}$/.test(value);
+const TRACK_PROP_PLACEMENT = {
+    offset: (value) => isNumberIn(value, -600, 600),
+    angle: (value) => isNumberIn(value, -Math.PI * 2, Math.PI * 2),
+};
+const TRACK_PROP_FIELDS = {
+    obstacles: {
+        ...TRACK_PROP_PLACEMENT,
+        kind: isPropKind,
+        shape: (value) => ["circle", "box"].includes(value),
+        color: isColor,
+        radius: (value) => isNumberIn(value, 2, 200),
+        w: (value) => isNumberIn(value, 2, 400),
+        h: (value) => isNumberIn(value, 2, 400),
+        number: (value) => Number.isInteger(value) && value >= 0 && value <= 99,
+        letter: (value) => typeof value === "string" && value.length === 1,
+    },
+    hazards: {
+        ...TRACK_PROP_PLACEMENT,
+        kind: isPropKind,
+        motion: (value) => ["swing", "cross", "drift"].includes(value),
+        color: isColor,
+        radius: (value) => isNumberIn(value, 2, 100),
+        period: (value) => isNumberIn(value, 500, 60000),
+        phase: (value) => isNumberIn(value, 0, 1),
+        span: (value) => isNumberIn(value, 10, 400),
+        length: (value) => isNumberIn(value, 10, 400),
+        amplitude: (value) => isNumberIn(value, 0, Math.PI),
+    },
+    surfaces: {
+        ...TRACK_PROP_PLACEMENT,
+        type: (value) => Object.prototype.hasOwnProperty.call(SURFACE_TYPES, value),
+        shape: (value) => ["ellipse", "box"].includes(value),
+        w: (value) => isNumberIn(value, 10, 1000),
+        h: (value) => isNumberIn(value, 10, 1000),
+    },
+};
+
+function parsePattern(pattern, where) {
+    if (
+        !pattern ||
+        !PATTERN_TYPES.includes(pattern.type) ||
+        !isColor(pattern.fg) ||
+        (pattern.fg2 !== undefined && !isColor(pattern.fg2)) ||
+        (pattern.size !== undefined && !isNumberIn(pattern.size, 8, 200)) ||
+        (pattern.alpha !== undefined && !isNumberIn(pattern.alpha, 0, 1))
+    ) {
+        throw new Error(`The ${where} pattern is not valid.`);
+    }
+    const { type, fg, fg2, size, alpha } = pattern;
+    return JSON.parse(JSON.stringify({ type, fg, fg2, size, alpha }));
+}
+
+// Inline theme colors and patterns, applied over a built-in theme
+function parseThemeOverrides(theme) {
+    const overrides = {};
+    if (theme.background !== undefined) {
+        const { base, pattern } = theme.background;
+        if (base !== undefined && !isColor(base)) {
+            throw new Error("The background color is not valid.");
+        }
+        overrides.background = {};
+        if (base !== undefined) overrides.background.base = base;
+        if (pattern !== undefined) overrides.background.pattern = parsePattern(pattern, "background");
+    }
+    if (theme.track !== undefined) {
+        const { base, edge, stripe, dash, texture } = theme.track;
+        if ([base, edge, stripe].some((color) => color !== undefined && !isColor(color))) {
+            throw new Error("The track colors are not valid.");
+        }
+        if (
+            dash !== undefined &&
+            !(Array.isArray(dash) && dash.length === 2 && dash.every((n) => isNumberIn(n, 1, 100)))
+        ) {
+            throw new Error("The track dash must be two numbers.");
+        }
+        overrides.track = JSON.parse(JSON.stringify({ base, edge, stripe, dash }));
+        if (texture !== undefined) overrides.track.texture = parsePattern(texture, "track");
+    }
+    if (theme.checkpoint !== undefined) {
+        if (!isColor(theme.checkpoint)) {
+            throw new Error("The checkpoint color is not valid.");
+        }
+        overrides.checkpoint = theme.checkpoint;
+    }
+    if (theme.vehicle !== undefined) {
+        if (!theme.vehicle || !Object.prototype.hasOwnProperty.call(VEHICLE_STATS, theme.vehicle.shape)) {
+            throw new Error("The theme vehicle is not a known style.");
+        }
+        overrides.vehicle = { shape: theme.vehicle.shape };
+    }
+    return overrides;
+}
+
+function applyThemeOverrides(theme, overrides) {
+    return {
+        ...theme,
+        ...overrides,
+        background: { ...theme.background, ...(overrides.background || {}) },
+        track: { ...theme.track, ...(overrides.track || {}) },
+    };
+}
+
+// Turn track file text into a layout. Throws an Error whose message is
+// shown to the player.
+function parseTrackFile(text) {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch (e) {
+        throw new Error("That file isn't valid JSON.");
+    }
+    if (!file || file.format !== TRACK_FILE_FORMAT) {
+        throw new Error("That file isn't a microRacer track.");
+    }
+    if (!Number.isInteger(file.version) || file.version < 1) {
+        throw new Error("The track file has no valid version.");
+    }
+    if (file.version > TRACK_FILE_VERSION) {
+        throw new Error("The track was made with a newer version of the game.");
+    }
+
+    if (!Array.isArray(file.points)) {
+        throw new Error("The track has no control points.");
+    }
+    let points = file.points.map((point) =>
+        Array.isArray(point) ? { x: point[0], y: point[1] } : { x: point && point.x, y: point && point.y }
+    );
+    if (points.length < TRACK_MIN_POINTS || points.length > TRACK_MAX_POINTS) {
+        throw new Error(
+            `A track needs between ${TRACK_MIN_POINTS} and ${TRACK_MAX_POINTS} control points.`
+        );
+    }
+    if (!points.every((point) => isNumberIn(point.x, -20000, 20000) && isNumberIn(point.y, -20000, 20000))) {
+        throw new Error("Every control point needs an x and y coordinate.");
+    }
+    points = points.map((point) => ({ x: roundTo(point.x, 1), y: roundTo(point.y, 1) }));
+
+    if (!isNumberIn(file.width, TRACK_MIN_WIDTH, TRACK_MAX_WIDTH)) {
+        throw new Error(`Track width must be between ${TRACK_MIN_WIDTH} and ${TRACK_MAX_WIDTH}.`);
+    }
+
+    const theme = typeof file.theme === "object" && file.theme !== null
+        ? file.theme
+        : { extends: file.theme === undefined ? 0 : file.theme };
+    const themeIndex = theme.extends === undefined ? 0 : theme.extends;
+    if (!Number.isInteger(themeIndex) || themeIndex < 0 || themeIndex >= TRACK_THEME_COUNT) {
+        throw new Error(`The theme must be a number from 0 to ${TRACK_THEME_COUNT - 1}.`);
+    }
+    const themeOverrides = parseThemeOverrides(theme);
+
+    // The finish line sits on the first control point and cars race
+    // towards the last one
+    const start = file.start || {};
+    const startPoint = start.point === undefined ? 0 : start.point;
+    if (!Number.isInteger(startPoint) || startPoint < 0 || startPoint >= points.length) {
+        throw new Error("The start point is not one of the control points.");
+    }
+    points = [...points.slice(startPoint), ...points.slice(0, startPoint)];
+    if (start.reverse) {
+        points = [points[0], ...points.slice(1).reverse()];
+    }
+
+    const checkpoints = file.checkpoints === undefined ? [0.25, 0.5, 0.75] : file.checkpoints;
+    if (
+        !Array.isArray(checkpoints) ||
+        !checkpoints.every((at, i) => isNumberIn(at, 0.03, 0.97) && (i === 0 || at - checkpoints[i - 1] >= 0.03))
+    ) {
+        throw new Error("Checkpoints must be increasing lap fractions between 0.03 and 0.97.");
+    }
+
+    const layout = {
+        name: typeof file.name === "string" && file.name.trim()
+            ? file.name.trim().slice(0, 32)
+            : "Custom Track",
+        points,
+        width: file.width,
+        theme: themeIndex,
+        gates: checkpoints.map((at) => roundTo(1 - at, 4)),
+    };
+    if (Object.keys(themeOverrides).length) {
+        layout.themeOverrides = themeOverrides;
+    }
+
+    Object.keys(TRACK_PROP_RULES).forEach((key) => {
+        if (file[key] === undefined) return;
+        const props = file[key];
+        if (!Array.isArray(props) || props.length > TRACK_PROP_LIMIT) {
+            throw new Error(`The ${key} list is not valid.`);
+        }
+        layout[key] = props.map((prop) => {
+            if (!prop || !isNumberIn(prop.at, 0, 1) || !TRACK_PROP_RULES[key](prop)) {
+                throw new Error(`One of the ${key} is missing required fields.`);
+            }
+            const { at, ...rest } = prop;
+            Object.keys(rest).forEach((field) => {
+                const check = TRACK_PROP_FIELDS[key][field];
+                if (!check) {
+                    throw new Error(`One of the ${key} has an unknown field "${field}".`);
+                }
+                if (!check(rest[field])) {
+                    throw new Error(`One of the ${key} has an invalid ${field}.`);
+                }
+            });
+            return { ...rest, t: roundTo((1 - at) % 1, 4) };
+        });
+    });
+
+    return layout;
+}
+
+// The file for a layout; the start is always its first control point
+function createTrackFile(layout) {
+    const file = {
+        format: TRACK_FILE_FORMAT,
+        version: TRACK_FILE_VERSION,
+        name: layout.name || "Custom Track",
+        width: layout.width,
+        points: layout.points.map((point) => [roundTo(point.x, 1), roundTo(point.y, 1)]),
+        theme: layout.themeOverrides
+            ? { extends: layout.theme, ...layout.themeOverrides }
+            : layout.theme,
+        start: { point: 0, reverse: false },
+        checkpoints: layout.gates.map((t) => roundTo(1 - t, 4)),
+    };
+    Object.keys(TRACK_PROP_RULES).forEach((key) => {
+        if (!layout[key]) return;
+        file[key] = layout[key].map(({ t, x, y, ...prop }) => ({
+            at: roundTo((1 - t) % 1, 4),
+            ...prop,
+        }));
+    });
+    return file;
+}
+
+// Stable FNV-1a hash of everything that shapes the racing, so records
+// follow a track around no matter what it's called or where it came from
+function getTrackHash(layout) {
+    const file = createTrackFile(layout);
+    delete file.name;
+    return hashString(JSON.stringify(file));
+}
+
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, "0");
+}
+
+// Ease a layout until it validates. Control points around each problem
+// move halfway towards the midpoint of their neighbours, which opens up
+// tight corners and shrinks the features that make stretches overlap; grid
+// problems line the start up into a straight. The start point itself never
+// moves. Returns the best layout found and the problems it still has (only
+// errors unless `warnings` is set).
+function repairLayout(layout, warnings = false) {
+    const repaired = JSON.parse(JSON.stringify(layout));
+    const points = repaired.points;
+    const count = points.length;
+    const relevant = (problem) => warnings || problem.severity === "error";
+    let best = null;
+
+    for (let pass = 0; pass <= 40; pass++) {
+        const problems = new Track(repaired.theme, repaired).validate().filter(relevant);
+        if (!best || problems.length < best.problems.length) {
+            best = { layout: JSON.parse(JSON.stringify(repaired)), problems };
+        }
+        if (problems.length === 0) break;
+
+        // Control point i shapes the spline around t = (i - 0.5) / count
+        const targets = new Set();
+        const addAround = (index, reach) => {
+            for (let k = -reach; k <= reach; k++) {
+                targets.add((((index + k) % count) + count) % count);
+            }
+        };
+        problems.forEach((problem) => {
+            if (problem.type === "grid") {
+                // The spline kinks at the start unless the points either
+                // side of it are in line
+                const before = points[count - 1];
+                const after = points[1];
+                const lineLength = Math.hypot(after.x - before.x, after.y - before.y) || 1;
+                const dirX = (after.x - before.x) / lineLength;
+                const dirY = (after.y - before.y) / lineLength;
+                const toAfter = Math.hypot(after.x - points[0].x, after.y - points[0].y);
+                const toBefore = Math.hypot(before.x - points[0].x, before.y - points[0].y);
+                points[1] = {
+                    x: roundTo(points[0].x + dirX * toAfter, 1),
+                    y: roundTo(points[0].y + dirY * toAfter, 1),
+                };
+                points[count - 1] = {
+                    x: roundTo(points[0].x - dirX * toBefore, 1),
+                    y: roundTo(points[0].y - dirY * toBefore, 1),
+                };
+                targets.add(2);
+                targets.add(count - 2);
+                return;
+            }
+            [problem.t, problem.otherT]
+                .filter((t) => t !== undefined)
+                .forEach((t) => addAround(Math.round(t * count + 0.5), 1));
+        });
+        targets.delete(0);
+
+        const before = points.map((point) => ({ ...point }));
+        targets.forEach((i) => {
+            const prev = before[(i - 1 + count) % count];
+            const next = before[(i + 1) % count];
+            points[i].x = roundTo((points[i].x + (prev.x + next.x) / 2) / 2, 1);
+            points[i].y = roundTo((points[i].y + (prev.y + next.y) / 2) / 2, 1);
+        });
+    }
+
+    return best;
+}
+
+// Storage key for a track's leaderboard, sectors and ghost
+function getLayoutTrackKey(layout) {
+    return `custom-${getTrackHash(layout)}`;
+}
+
+function loadCustomTracks() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CUSTOM_TRACKS_KEY));
+        if (!Array.isArray(stored)) return [];
+        return stored
+            .map((file) => {
+                try {
+                    return parseTrackFile(JSON.stringify(file));
+                } catch (e) {
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    } catch (e) {
+        return [];
+    }
+}
+
+function saveCustomTracks(layouts) {
+    try {
+        localStorage.setItem(
+            CUSTOM_TRACKS_KEY,
+            JSON.stringify(layouts.map((layout) => createTrackFile(layout)))
+        );
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Imported tracks have to validate. Errors are repaired where possible and
+// tight corners are passed on as warnings. Throws an Error whose message is
+// shown to the player.
+function checkImportedLayout(layout) {
+    let checked = layout;
+    let repairedProblem = null;
+    const problems = new Track(layout.theme, layout).validate();
+    const firstError = problems.find((problem) => problem.severity === "error");
+    if (firstError) {
+        const result = repairLayout(layout);
+        if (result.problems.length) {
+            throw new Error(`${result.problems[0].message} and couldn't be repaired.`);
+        }
+        checked = result.layout;
+        repairedProblem = firstError;
+    }
+    return {
+        layout: checked,
+        repairedProblem,
+        warnings: repairedProblem ? new Track(checked.theme, checked).validate() : problems,
+    };
+}
+
+// Read a track file picked by the player
+function readTrackFile(file) {
+    if (file.size > TRACK_FILE_MAX_BYTES) {
+        return Promise.reject(new Error("Track files must be 256 KB or smaller."));
+    }
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(new Error("The file could not be read."));
+        reader.readAsText(file);
+    }).then((text) => checkImportedLayout(parseTrackFile(text)));
+}
+
+// Offer a layout as a .json download
+function downloadTrackFile(layout) {
+    const blob = new Blob([JSON.stringify(createTrackFile(layout), null, 2)], {
+        type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${(layout.name || "track").replace(/[^a-z0-9-_]+/gi, "-")}.json`;
+    link.style.display = "none";
+    // Some browsers only download from a link on the page, and cancel it
+    // if the URL is revoked before the click has been handled
+    document.body.appendChild(link);
+    link.click();
+    setTimeout(() => {
+        link.remove();
+        URL.revokeObjectURL(url);
+    }, 0);
+}
+
+function clearTrackRecords(trackKey) {
+    clearLeaderboard(trackKey);
+    clearBestSectors(trackKey);
+    clearBestLap(trackKey);
+    clearTimeTrialBest(trackKey);
+}
+
+// Random tracks: any text seeds the generator, which picks a theme and
+// bends two or three corner features into the loop. The same seed always
+// gives the same track, so sharing a seed shares the track (and, through
+// the layout hash, its records).
+const RANDOM_SEED_MAX = 1000000;
+// Control points a feature may touch; the rest frame the start straight
+const RANDOM_FEATURE_FIRST = 3;
+const RANDOM_FEATURE_LAST = 25;
+
+// Plain numbers are used as they are, anything else is hashed
+function getSeedNumber(seed) {
+    const text = String(seed).trim();
+    return /^\d{1,6}$/.test(text)
+        ? Number(text)
+        : parseInt(hashString(text.toLowerCase()), 16) % RANDOM_SEED_MAX;
+}
+
+// Local date, so everyone in the same place gets the same track of the day
+function getDailySeed(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function rollRandomSeed() {
+    return String(Math.floor(Math.random() * RANDOM_SEED_MAX));
+}
+
+// Returns the layout plus the features used, for describing the track
+function createRandomLayout(seed) {
+    const seedNumber = getSeedNumber(seed);
+    let state = seedNumber + 1;
+    const random = () => {
+        const x = Math.sin(state++) * 10000;
+        return x - Math.floor(x);
+    };
+    const pick = (list) => list[Math.floor(random() * list.length)];
+
+    const theme = Math.floor(random() * TRACK_THEME_COUNT);
+    const width = pick([110, 120, 130]);
+
+    // Two or three different features, spaced along the lap
+    const types = Object.keys(TRACK_FEATURES);
+    const count = 2 + Math.floor(random() * 2);
+    const features = [];
+    let cursor = RANDOM_FEATURE_FIRST + Math.floor(random() * 3);
+    while (features.length < count && types.length) {
+        const type = types.splice(Math.floor(random() * types.length), 1)[0];
+        const length = TRACK_FEATURES[type].offsets.length;
+        if (cursor + length - 1 > RANDOM_FEATURE_LAST) continue;
+        features.push({ type, start: cursor, mirror: random() < 0.5 });
+        cursor += length + 1 + Math.floor(random() * 3);
+    }
+
+    const track = new Track(theme);
+    track.generateTrack(seedNumber, features);
+    const generated = {
+        name: seed === getDailySeed() ? "Track of the Day" : `Random ${seed}`.slice(0, 32),
+        points: track.points
+            .slice(0, -1)
+            .map((point) => ({ x: roundTo(point.x, 1), y: roundTo(point.y, 1) })),
+        width,
+        theme,
+        gates: [0.75, 0.5, 0.25],
+    };
+    // Features can stack into overlaps or pinched corners; ease them out
+    return { layout: repairLayout(generated, true).layout, features };
+}
+
+// Track editor: the layout being edited is kept in localStorage as a
+// track file
+const EDITOR_LAYOUT_KEY = "microRacer.editorLayout";
+
+function loadEditorLayout() {
+    try {
+        return parseTrackFile(localStorage.getItem(EDITOR_LAYOUT_KEY));
+    } catch (e) {
+        return null;
+    }
+}
+
+function saveEditorLayout(layout) {
+    localStorage.setItem(EDITOR_LAYOUT_KEY, JSON.stringify(createTrackFile(layout)));
+}
+
+// Drag-and-drop editor for a track layout, drawn on its own canvas. The
+// view is fitted to the track whenever the layout changes shape.
+class TrackEditor {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext("2d");
+        this.layout = null;
+        this.selected = 0;
+        // "points" drags control points, "gates" toggles sector gates
+        this.tool = "points";
+        this.dragging = false;
+        this.view = { scale: 1, offsetX: 0, offsetY: 0 };
+        // Validation problems with the current layout, marked on the canvas
+        this.problems = [];
+        // Optional callback (layout) => {} run after every edit
+        this.onChange = null;
+
+        canvas.addEventListener("pointerdown", (e) => this.handlePointerDown(e));
+        canvas.addEventListener("pointermove", (e) => this.handlePointerMove(e));
+        canvas.addEventListener("pointerup", () => this.handlePointerUp());
+        canvas.addEventListener("pointercancel", () => this.handlePointerUp());
+        canvas.addEventListener("dblclick", (e) => {
+            if (this.tool === "points") this.insertPointAt(this.toWorld(e));
+        });
+    }
+
+    setLayout(layout) {
+        this.layout = layout;
+        this.selected = 0;
+        this.problems = this.getTrack().validate();
+        this.fitView();
+        this.render();
+    }
+
+    hasErrors() {
+        return this.problems.some((problem) => problem.severity === "error");
+    }
+
+    // Reshape the layout until it validates, warnings included
+    autoFix() {
+        const selected = this.selected;
+        this.layout = repairLayout(this.layout, true).layout;
+        this.selected = selected;
+        this.fitView();
+        this.changed();
+    }
+
+    getTrack() {
+        return new Track(this.layout.theme, this.layout);
+    }
+
+    changed() {
+        this.problems = this.getTrack().validate();
+        this.render();
+        if (this.onChange) {
+            this.onChange(this.layout);
+        }
+    }
+
+    fitView() {
+        const margin = this.layout.width + 40;
+        const xs = this.layout.points.map((point) => point.x);
+        const ys = this.layout.points.map((point) => point.y);
+        const minX = Math.min(...xs) - margin;
+        const minY = Math.min(...ys) - margin;
+        const spanX = Math.max(...xs) + margin - minX;
+        const spanY = Math.max(...ys) + margin - minY;
+        const scale = Math.min(this.canvas.width / spanX, this.canvas.height / spanY);
+        this.view = {
+            scale,
+            offsetX: (this.canvas.width - spanX * scale) / 2 - minX * scale,
+            offsetY: (this.canvas.height - spanY * scale) / 2 - minY * scale,
+        };
+    }
+
+    toWorld(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const canvasX = ((event.clientX - rect.left) * this.canvas.width) / rect.width;
+        const canvasY = ((event.clientY - rect.top) * this.canvas.height) / rect.height;
+        return {
+            x: (canvasX - this.view.offsetX) / this.view.scale,
+            y: (canvasY - this.view.offsetY) / this.view.scale,
+        };
+    }
+
+    // Index of the control point under a world position, or -1
+    findPoint(world) {
+        const reach = 14 / this.view.scale;
+        let best = -1;
+        let bestDist = reach;
+        this.layout.points.forEach((point, i) => {
+            const dist = Math.hypot(point.x - world.x, point.y - world.y);
+            if (dist < bestDist) {
+                best = i;
+                bestDist = dist;
+            }
+        });
+        return best;
+    }
+
+    handlePointerDown(event) {
+        event.preventDefault();
+        const world = this.toWorld(event);
+        if (this.tool === "gates") {
+            this.toggleGateAt(world);
+            return;
+        }
+        const index = this.findPoint(world);
+        if (index === -1) return;
+        this.selected = index;
+        this.dragging = true;
+        this.canvas.setPointerCapture(event.pointerId);
+        this.render();
+    }
+
+    handlePointerMove(event) {
+        if (!this.dragging) return;
+        const world = this.toWorld(event);
+        const point = this.layout.points[this.selected];
+        point.x = Math.round(world.x);
+        point.y = Math.round(world.y);
+        this.render();
+    }
+
+    handlePointerUp() {
+        if (!this.dragging) return;
+        this.dragging = false;
+        this.fitView();
+        this.changed();
+    }
+
+    // Adding, removing or reordering points renumbers the spline segments,
+    // so gates are carried over by where they sit in the world
+    reshape(edit) {
+        const before = this.getTrack();
+        const gatePoints = this.layout.gates.map((t) => before.getTrackPoint(t));
+        edit();
+        const after = this.getTrack();
+        this.setGates(gatePoints.map((point) => after.getClosestT(point.x, point.y)));
+        this.fitView();
+        this.changed();
+    }
+
+    // Cars reach gates in order of decreasing t; gates bunched together or
+    // sitting on the finish line are dropped
+    setGates(gateTs) {
+        const gates = [];
+        gateTs
+            .map((t) => Math.round(t * 1000) / 1000)
+            .sort((a, b) => b - a)
+            .forEach((t) => {
+                const last = gates.length ? gates[gates.length - 1] : 1;
+                if (last - t >= 0.03 && t >= 0.03) gates.push(t);
+            });
+        this.layout.gates = gates;
+    }
+
+    // New point on the stretch between the two nearest neighbouring points
+    insertPointAt(world) {
+        const points = this.layout.points;
+        let bestIndex = 0;
+        let bestDist = Infinity;
+        points.forEach((point, i) => {
+            const next = points[(i + 1) % points.length];
+            const dx = next.x - point.x;
+            const dy = next.y - point.y;
+            const lengthSq = dx * dx + dy * dy || 1;
+            const along = Math.max(
+                0,
+                Math.min(1, ((world.x - point.x) * dx + (world.y - point.y) * dy) / lengthSq)
+            );
+            const dist = Math.hypot(
+                point.x + dx * along - world.x,
+                point.y + dy * along - world.y
+            );
+            if (dist < bestDist) {
+                bestDist = dist;
+                bestIndex = i;
+            }
+        });
+        this.reshape(() => {
+            points.splice(bestIndex + 1, 0, { x: Math.round(world.x), y: Math.round(world.y) });
+            this.selected = bestIndex + 1;
+        });
+    }
+
+    // New point halfway between the selected point and the next one
+    insertAfterSelected() {
+        const points = this.layout.points;
+        const point = points[this.selected];
+        const next = points[(this.selected + 1) % points.length];
+        this.reshape(() => {
+            points.splice(this.selected + 1, 0, {
+                x: Math.round((point.x + next.x) / 2),
+                y: Math.round((point.y + next.y) / 2),
+            });
+            this.selected += 1;
+        });
+    }
+
+    deleteSelected() {
+        if (this.layout.points.length <= TRACK_MIN_POINTS) return false;
+        this.reshape(() => {
+            this.layout.points.splice(this.selected, 1);
+            this.selected = this.selected % this.layout.points.length;
+        });
+        return true;
+    }
+
+    // The spline starts (and the finish line sits) at the first point
+    setStartAtSelected() {
+        if (this.selected === 0) return;
+        this.reshape(() => {
+            const points = this.layout.points;
+            this.layout.points = [...points.slice(this.selected), ...points.slice(0, this.selected)];
+            this.selected = 0;
+        });
+    }
+
+    // Clicking near an existing gate removes it, anywhere else on the
+    // track adds one
+    toggleGateAt(world) {
+        const track = this.getTrack();
+        const t = track.getClosestT(world.x, world.y);
+        const point = track.getTrackPoint(t);
+        if (Math.hypot(point.x - world.x, point.y - world.y) > this.layout.width / 2 + 20) {
+            return;
+        }
+        const existing = this.layout.gates.findIndex((gateT) => Math.abs(gateT - t) < 0.03);
+        if (existing !== -1) {
+            this.layout.gates.splice(existing, 1);
+        } else {
+            this.setGates([...this.layout.gates, t]);
+        }
+        this.changed();
+    }
+
+    setWidth(width) {
+        this.layout.width = Math.max(TRACK_MIN_WIDTH, Math.min(TRACK_MAX_WIDTH, width));
+        this.fitView();
+        this.changed();
+    }
+
+    setTheme(theme) {
+        this.layout.theme = theme;
+        this.changed();
+    }
+
+    render() {
+        if (!this.layout) return;
+        const ctx = this.ctx;
+        const track = this.getTrack();
+        const theme = track.getTheme();
+        const { scale, offsetX, offsetY } = this.view;
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.fillStyle = theme.background.base;
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.setTransform(scale, 0, 0, scale, offsetX, offsetY);
+
+        // Track surface, sampled from the same spline the race uses
+        const samples = 240;
+        ctx.beginPath();
+        for (let i = 0; i <= samples; i++) {
+            const point = track.getTrackPoint((i / samples) % 1);
+            if (i === 0) ctx.moveTo(point.x, point.y);
+            else ctx.lineTo(point.x, point.y);
+        }
+        ctx.lineCap = "round";
+        ctx.lineJoin = "round";
+        ctx.strokeStyle = theme.track.edge;
+        ctx.lineWidth = track.width + 14;
+        ctx.stroke();
+        ctx.strokeStyle = theme.track.base;
+        ctx.lineWidth = track.width;
+        ctx.stroke();
+        ctx.strokeStyle = theme.track.stripe;
+        ctx.lineWidth = 3 / scale;
+        ctx.setLineDash([12 / scale, 8 / scale]);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Gates, then the finish line with an arrow in the racing direction
+        track.gates.forEach((gate, i) => {
+            const isFinish = i === track.gates.length - 1;
+            ctx.strokeStyle = isFinish ? "#ffffff" : theme.checkpoint;
+            ctx.lineWidth = (isFinish ? 5 : 3) / scale;
+            ctx.beginPath();
+            ctx.moveTo(gate.x1, gate.y1);
+            ctx.lineTo(gate.x2, gate.y2);
+            ctx.stroke();
+            ctx.fillStyle = ctx.strokeStyle;
+            ctx.font = `bold ${12 / scale}px Arial`;
+            ctx.textAlign = "center";
+            ctx.fillText(isFinish ? "START" : `S${i + 1}`, gate.x2, gate.y2);
+        });
+
+        const start = track.getTrackPoint(0);
+        const heading = track.getTrackDirection(0) + Math.PI;
+        const arrow = track.width * 0.6;
+        ctx.save();
+        ctx.translate(start.x, start.y);
+        ctx.rotate(heading);
+        ctx.fillStyle = "#ffffff";
+        ctx.beginPath();
+        ctx.moveTo(arrow, 0);
+        ctx.lineTo(arrow * 0.55, -arrow * 0.25);
+        ctx.lineTo(arrow * 0.55, arrow * 0.25);
+        ctx.closePath();
+        ctx.fill();
+        ctx.restore();
+
+        // Problem spots: red for errors, amber for tight corners
+        this.problems.forEach((problem) => {
+            const point = track.getTrackPoint(problem.t);
+            ctx.strokeStyle = problem.severity === "error" ? "#ff3b3b" : "#ffaa00";
+            ctx.lineWidth = 4 / scale;
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, track.width * 0.6, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+
+        // Control polygon and draggable points
+        const points = this.layout.points;
+        ctx.strokeStyle = "rgba(255, 255, 255, 0.35)";
+        ctx.lineWidth = 1 / scale;
+        ctx.beginPath();
+        points.forEach((point, i) => {
+            if (i === 0) ctx.moveTo(point.x, point.y);
+            else ctx.lineTo(point.x, point.y);
+        });
+        ctx.closePath();
+        ctx.stroke();
+
+        points.forEach((point, i) => {
+            ctx.fillStyle = i === this.selected ? "#ffcc00" : "#ffffff";
+            ctx.strokeStyle = "#000000";
+            ctx.lineWidth = 2 / scale;
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, (i === this.selected ? 8 : 6) / scale, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        });
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+    }
+}
+
+let currentGame = null;
+let selectedPlayers = 1;
+let selectedTrack = 0;
+let gameSettings = loadSettings();
+let customTracks = loadCustomTracks();
+let profiles = loadProfiles();
+
+const trackNames = [
+    "Breakfast Table",
+    "Pool Table",
+    "Office Desk",
+    "Garden Path",
+    "Bathtub Ring",
+    "Bookshelf Slalom",
+    "Treehouse",
+    "Toy Box",
+    "Kitchen Counter",
+    "Dinner Plate",
+];
+
+function initMenu() {
+    const menuScreen = document.getElementById("menuScreen");
+    const settingsScreen = document.getElementById("settingsScreen");
+    const leaderboardScreen = document.getElementById("leaderboardScreen");
+    const cupScreen = document.getElementById("cupScreen");
+    const cupStandingsScreen = document.getElementById("cupStandingsScreen");
+    const garageScreen = document.getElementById("garageScreen");
+    const garageCards = document.getElementById("garageCards");
+    const garageBackBtn = document.getElementById("garageBackBtn");
+    const garageStartBtn = document.getElementById("garageStartBtn");
+    const editorScreen = document.getElementById("editorScreen");
+    const editorBtn = document.getElementById("editorBtn");
+    const editorCanvas = document.getElementById("editorCanvas");
+    const editorPrevTheme = document.getElementById("editorPrevTheme");
+    const editorNextTheme = document.getElementById("editorNextTheme");
+    const editorThemeName = document.getElementById("editorThemeName");
+    const editorWidthInput = document.getElementById("editorWidthInput");
+    const editorWidthValue = document.getElementById("editorWidthValue");
+    const editorToolButtons = document.querySelectorAll(".player-btn[data-editor-tool]");
+    const editorInsertBtn = document.getElementById("editorInsertBtn");
+    const editorDeleteBtn = document.getElementById("editorDeleteBtn");
+    const editorStartLineBtn = document.getElementById("editorStartLineBtn");
+    const editorCopyBtn = document.getElementById("editorCopyBtn");
+    const editorSaveBtn = document.getElementById("editorSaveBtn");
+    const editorFixBtn = document.getElementById("editorFixBtn");
+    const editorNote = document.getElementById("editorNote");
+    const editorBackBtn = document.getElementById("editorBackBtn");
+    const editorTestBtn = document.getElementById("editorTestBtn");
+    const gameCanvas = document.getElementById("gameCanvas");
+    const backBtn = document.getElementById("backBtn");
+    const restartBtn = document.getElementById("restartBtn");
+    const rematchBtn = document.getElementById("rematchBtn");
+    const pauseMenu = document.getElementById("pauseMenu");
+    const resumeBtn = document.getElementById("resumeBtn");
+    const pauseRestartBtn = document.getElementById("pauseRestartBtn");
+    const pauseSettingsBtn = document.getElementById("pauseSettingsBtn");
+    const pauseQuitBtn = document.getElementById("pauseQuitBtn");
+    const finishBackBtn = document.getElementById("finishBackBtn");
+    const startBtn = document.getElementById("startBtn");
+    const settingsBtn = document.getElementById("settingsBtn");
+    const settingsBackBtn = document.getElementById("settingsBackBtn");
     const leaderboardBtn = document.getElementById("leaderboardBtn");
     const leaderboardBackBtn = document.getElementById("leaderboardBackBtn");
     const leaderboardClearBtn = document.getElementById("leaderboardClearBtn");
     const leaderboardTrackName = document.getElementById("leaderboardTrackName");
+    const leaderboardTheoretical = document.getElementById("leaderboardTheoretical");
+    const leaderboardTargets = document.getElementById("leaderboardTargets");
+    const leaderboardMedals = document.getElementById("leaderboardMedals");
     const leaderboardList = document.getElementById("leaderboardList");
     const ghostToggle = document.getElementById("ghostToggle");
     const musicToggle = document.getElementById("musicToggle");
     const sfxToggle = document.getElementById("sfxToggle");
-    const playerButtons = document.querySelectorAll(".player-btn");
+    const presetButtons = document.querySelectorAll(".player-btn[data-preset]");
+    const ruleInputs = document.querySelectorAll("[data-rule]");
+    const playerButtons = document.querySelectorAll(".player-btn[data-players]");
+    const aiButtons = document.querySelectorAll(".player-btn[data-ai]");
+    const modeButtons = document.querySelectorAll(".player-btn[data-mode]");
     const controlsInfo = document.getElementById("controlsInfo");
     const prevTrackBtn = document.getElementById("prevTrack");
     const nextTrackBtn = document.getElementById("nextTrack");
     const trackNumberEl = document.getElementById("trackNumber");
     const trackNameEl = document.getElementById("trackName");
+    const trackImportBtn = document.getElementById("trackImportBtn");
+    const trackImportInput = document.getElementById("trackImportInput");
+    const trackExportBtn = document.getElementById("trackExportBtn");
+    const trackRemoveBtn = document.getElementById("trackRemoveBtn");
+    const trackFileNote = document.getElementById("trackFileNote");
+    const trackCheckNote = document.getElementById("trackCheckNote");
+    const randomSeedRow = document.getElementById("randomSeedRow");
+    const randomSeedInput = document.getElementById("randomSeedInput");
+    const randomRollBtn = document.getElementById("randomRollBtn");
+    const randomDailyBtn = document.getElementById("randomDailyBtn");
+    const randomSeedNote = document.getElementById("randomSeedNote");
+    const cupBtn = document.getElementById("cupBtn");
+    const cupTrackList = document.getElementById("cupTrackList");
+    const cupStartBtn = document.getElementById("cupStartBtn");
+    const cupResumeBtn = document.getElementById("cupResumeBtn");
+    const cupAbandonBtn = document.getElementById("cupAbandonBtn");
+    const cupBackBtn = document.getElementById("cupBackBtn");
+    const cupStandingsTitle = document.getElementById("cupStandingsTitle");
+    const cupStandingsList = document.getElementById("cupStandingsList");
+    const cupStandingsNote = document.getElementById("cupStandingsNote");
+    const cupNextBtn = document.getElementById("cupNextBtn");
+    const cupQuitBtn = document.getElementById("cupQuitBtn");
     const mobileControls = document.getElementById("mobileControls");
     const touchButtons = {
         left: mobileControls?.querySelector("[data-action='left']"),
         right: mobileControls?.querySelector("[data-action='right']"),
         accel: mobileControls?.querySelector("[data-action='accel']"),
         brake: mobileControls?.querySelector("[data-action='brake']"),
+        respawn: mobileControls?.querySelector("[data-action='respawn']"),
+        useItem: mobileControls?.querySelector("[data-action='useItem']"),
     };
 
     const controlsData = [
-        { player: "Player 1", keys: "↑ ↓ ← →" },
-        { player: "Player 2", keys: "W A S D" },
-        { player: "Player 3", keys: "I J K L" },
-        { player: "Player 4", keys: "8 4 5 6 (Numpad)" },
+        { player: "Player 1", keys: "↑ ↓ ← → • Ctrl item • Enter respawn" },
+        { player: "Player 2", keys: "W A S D • E item • Q respawn" },
+        { player: "Player 3", keys: "I J K L • O item • U respawn" },
+        { player: "Player 4", keys: "8 4 5 6 • + item • 0 respawn (Numpad)" },
     ];
 
     // Controller configuration: null = keyboard, number = gamepad index
     const playerControllerConfig = [null, null, null, null];
 
+    // Cup being raced right now (null for single races) and the tracks
+    // ticked on the cup screen
+    let activeCup = null;
+    const cupTrackSelection = new Set(trackNames.map((_, i) => i));
+
+    // True while test driving the editor's track, so leaving the race goes
+    // back to the editor
+    let editorTestDrive = false;
+
+    const menuScreens = [
+        menuScreen,
+        settingsScreen,
+        leaderboardScreen,
+        cupScreen,
+        cupStandingsScreen,
+        garageScreen,
+        editorScreen,
+    ].filter(Boolean);
+
+    // Show one menu screen and hide the rest (null hides them all)
+    function showScreen(screen) {
+        menuScreens.forEach((s) => {
+            s.style.display = s === screen ? "flex" : "none";
+        });
+    }
+
     const isTouchDevice = () =>
         window.matchMedia("(pointer: coarse)").matches ||
         navigator.maxTouchPoints > 0;
@@ -3086,6 +7372,8 @@ function initMenu() {
     bindTouchButton(touchButtons.right, "right");
     bindTouchButton(touchButtons.accel, "accel");
     bindTouchButton(touchButtons.brake, "brake");
+    bindTouchButton(touchButtons.respawn, "respawn");
+    bindTouchButton(touchButtons.useItem, "useItem");
     
     // Track which gamepad indices are already assigned
     function getAvailableGamepads() {
@@ -3145,11 +7433,115 @@ function initMenu() {
         updateControlsInfo();
     }
 
+    // The track selector runs through the built-in tracks, then the custom
+    // tracks imported from files or saved from the editor, and ends on the
+    // random track (the track of the day until another seed is picked)
+    const getTrackCount = () => trackNames.length + customTracks.length + 1;
+    const isRandomSelected = () => selectedTrack === getTrackCount() - 1;
+    const isCustomSelected = () =>
+        selectedTrack >= trackNames.length && !isRandomSelected();
+    let randomSeed = getDailySeed();
+    let randomTrack = createRandomLayout(randomSeed);
+
+    function getSelectedLayout() {
+        if (isRandomSelected()) return randomTrack.layout;
+        return isCustomSelected() ? customTracks[selectedTrack - trackNames.length] : null;
+    }
+
+    function setRandomSeed(seed) {
+        randomSeed = String(seed).trim().slice(0, 24) || getDailySeed();
+        randomTrack = createRandomLayout(randomSeed);
+        updateTrackDisplay();
+    }
+
+    function getSelectedTrackKey() {
+        const layout = getSelectedLayout();
+        return layout ? getLayoutTrackKey(layout) : selectedTrack;
+    }
+
+    function getSelectedTrackName() {
+        const layout = getSelectedLayout();
+        return layout ? layout.name : trackNames[selectedTrack];
+    }
+
+    function createSelectedTrack() {
+        const layout = getSelectedLayout();
+        return layout ? new Track(layout.theme, layout) : new Track(selectedTrack);
+    }
+
+    function startSelectedRace(playerCount) {
+        const layout = getSelectedLayout();
+        if (layout) {
+            startRace(layout.theme, playerCount, { ...gameSettings, trackLayout: layout });
+        } else {
+            startRace(selectedTrack, playerCount, gameSettings);
+        }
+    }
+
+    // Add a layout to the custom tracks (replacing an identical one) and
+    // select it. Throws an Error whose message is shown to the player.
+    function addCustomTrack(layout) {
+        const trackKey = getLayoutTrackKey(layout);
+        const existing = customTracks.findIndex(
+            (track) => getLayoutTrackKey(track) === trackKey
+        );
+        if (existing === -1 && customTracks.length >= CUSTOM_TRACK_LIMIT) {
+            throw new Error(`You can keep up to ${CUSTOM_TRACK_LIMIT} custom tracks.`);
+        }
+        const next = [...customTracks];
+        if (existing === -1) {
+            next.push(layout);
+        } else {
+            next[existing] = layout;
+        }
+        if (!saveCustomTracks(next)) {
+            throw new Error("Not enough local storage left for this track.");
+        }
+        customTracks = next;
+        selectedTrack = trackNames.length + (existing === -1 ? next.length - 1 : existing);
+        updateTrackDisplay();
+    }
+
+    // Built-in tracks aren't repaired like imports, so whatever the validator
+    // finds is shown on the menu. Checked once per track.
+    const builtInProblems = new Map();
+
+    function getBuiltInProblems(index) {
+        if (!builtInProblems.has(index)) {
+            builtInProblems.set(index, new Track(index).validate());
+        }
+        return builtInProblems.get(index);
+    }
+
     function updateTrackDisplay() {
-        trackNumberEl.textContent = `${selectedTrack + 1}/10`;
-        trackNameEl.textContent = trackNames[selectedTrack];
+        trackNumberEl.textContent = `${selectedTrack + 1}/${getTrackCount()}`;
+        trackNameEl.textContent = getSelectedTrackName();
+        trackRemoveBtn.style.display = isCustomSelected() ? "" : "none";
+        randomSeedRow.style.display = isRandomSelected() ? "flex" : "none";
+        if (isRandomSelected()) {
+            // Built-in track i is dressed in theme i, so they share names
+            const themeName = trackNames[randomTrack.layout.theme];
+            const features = randomTrack.features
+                .map((feature) => TRACK_FEATURES[feature.type].label)
+                .join(", ");
+            randomSeedInput.value = randomSeed;
+            randomSeedNote.textContent =
+                randomSeed === getDailySeed()
+                    ? `${randomSeed} • ${themeName} • ${features}`
+                    : `${themeName} • ${features}`;
+        } else {
+            randomSeedNote.textContent = "";
+        }
+        const problems =
+            selectedTrack < trackNames.length ? getBuiltInProblems(selectedTrack) : [];
+        if (problems.length) {
+            const more = problems.length - 1;
+            trackCheckNote.textContent = `${problems[0].message}${more ? ` (+${more} more)` : ""}`;
+        } else {
+            trackCheckNote.textContent = "";
+        }
         if (leaderboardTrackName) {
-            leaderboardTrackName.textContent = trackNames[selectedTrack];
+            leaderboardTrackName.textContent = getSelectedTrackName();
         }
         if (leaderboardScreen && leaderboardScreen.style.display !== "none") {
             renderLeaderboard();
@@ -3159,12 +7551,28 @@ function initMenu() {
     function renderLeaderboard() {
         if (!leaderboardList) return;
         if (leaderboardTrackName) {
-            leaderboardTrackName.textContent = trackNames[selectedTrack];
+            leaderboardTrackName.textContent = getSelectedTrackName();
         }
 
-        const entries = loadLeaderboard(selectedTrack);
+        const trackKey = getSelectedTrackKey();
+        const entries = loadLeaderboard(trackKey);
         leaderboardList.innerHTML = "";
 
+        // Sector count depends on the track's gate layout, plus the finish line
+        const layout = getSelectedLayout();
+        const sectorCount =
+            (layout ? layout.gates : TRACK_SECTOR_GATES[selectedTrack]).length + 1;
+        const theoreticalBest = getTheoreticalBest(
+            loadBestSectors(trackKey),
+            sectorCount
+        );
+        if (leaderboardTheoretical) {
+            leaderboardTheoretical.textContent = theoreticalBest
+                ? `Theoretical best ${formatTime(theoreticalBest)}`
+                : "";
+        }
+        renderMedals();
+
         if (entries.length === 0) {
             const empty = document.createElement("li");
             empty.className = "leaderboard-empty";
@@ -3193,6 +7601,94 @@ function initMenu() {
         });
     }
 
+    function renderMedals() {
+        if (leaderboardTargets) {
+            // Custom tracks have no medal times
+            const targets = TRACK_MEDAL_TIMES[selectedTrack];
+            leaderboardTargets.textContent = targets
+                ? [...MEDALS]
+                      .reverse()
+                      .map((medal) => `${medal.icon} ${formatTime(targets[medal.id])}`)
+                      .join("  ")
+                : "";
+        }
+        if (!leaderboardMedals) return;
+
+        // One row per track with the medal its best time-trial lap has earned
+        leaderboardMedals.innerHTML = "";
+        trackNames.forEach((name, i) => {
+            const best = loadTimeTrialBest(i);
+            const medal = getMedal(i, best);
+            const li = document.createElement("li");
+            li.className = `medal-item${i === selectedTrack ? " current" : ""}`;
+            li.innerHTML = `
+                <span class="medal-icon">${medal ? medal.icon : "·"}</span>
+                <span class="medal-track">${i + 1}. ${name}</span>
+                <span class="medal-time">${best ? formatTime(best) : "--:--.--"}</span>
+            `;
+            leaderboardMedals.appendChild(li);
+        });
+    }
+
+    // Name of the preset the current rules match, or "custom"
+    function matchRulesPreset(rules) {
+        const match = Object.keys(RULE_PRESETS).find((name) =>
+            Object.keys(RULE_PRESETS[name]).every(
+                (key) => RULE_PRESETS[name][key] === rules[key]
+            )
+        );
+        return match || "custom";
+    }
+
+    function renderRules() {
+        const rules = gameSettings.rules;
+        ruleInputs.forEach((input) => {
+            const key = input.dataset.rule;
+            if (input.type === "checkbox") {
+                input.checked = rules[key];
+            } else {
+                input.value = rules[key];
+            }
+            const output = document.getElementById(`${input.id}Value`);
+            if (output) output.textContent = rules[key];
+        });
+        presetButtons.forEach((btn) => {
+            btn.classList.toggle("active", btn.dataset.preset === gameSettings.rulesPreset);
+        });
+    }
+
+    presetButtons.forEach((btn) => {
+        btn.addEventListener("click", () => {
+            gameSettings.rulesPreset = btn.dataset.preset;
+            gameSettings.rules = { ...RULE_PRESETS[btn.dataset.preset] };
+            saveSettings(gameSettings);
+            renderRules();
+        });
+    });
+
+    ruleInputs.forEach((input) => {
+        const eventName = input.type === "range" ? "input" : "change";
+        input.addEventListener(eventName, () => {
+            const key = input.dataset.rule;
+            if (input.type === "checkbox") {
+                gameSettings.rules[key] = input.checked;
+            } else {
+                const min = parseFloat(input.min);
+                const max = parseFloat(input.max);
+                const value = parseFloat(input.value);
+                gameSettings.rules[key] = Number.isFinite(value)
+                    ? Math.max(min, Math.min(max, value))
+                    : RULE_PRESETS.classic[key];
+            }
+            gameSettings.rulesPreset = matchRulesPreset(gameSettings.rules);
+            saveSettings(gameSettings);
+            renderRules();
+        });
+    });
+
+    renderRules();
+    updateTrackDisplay();
+
     ghostToggle.checked = gameSettings.ghostEnabled;
     musicToggle.checked = gameSettings.musicEnabled;
     sfxToggle.checked = gameSettings.sfxEnabled;
@@ -3206,44 +7702,119 @@ function initMenu() {
         });
     });
 
+    aiButtons.forEach((btn) => {
+        btn.classList.toggle("active", btn.dataset.ai === gameSettings.aiDifficulty);
+        btn.addEventListener("click", () => {
+            aiButtons.forEach((b) => b.classList.remove("active"));
+            btn.classList.add("active");
+            gameSettings.aiDifficulty = btn.dataset.ai;
+            saveSettings(gameSettings);
+        });
+    });
+
+    modeButtons.forEach((btn) => {
+        btn.classList.toggle("active", btn.dataset.mode === gameSettings.raceMode);
+        btn.addEventListener("click", () => {
+            modeButtons.forEach((b) => b.classList.remove("active"));
+            btn.classList.add("active");
+            gameSettings.raceMode = btn.dataset.mode;
+            saveSettings(gameSettings);
+        });
+    });
+
     prevTrackBtn.addEventListener("click", () => {
-        selectedTrack = (selectedTrack - 1 + 10) % 10;
+        selectedTrack = (selectedTrack - 1 + getTrackCount()) % getTrackCount();
         updateTrackDisplay();
     });
 
     nextTrackBtn.addEventListener("click", () => {
-        selectedTrack = (selectedTrack + 1) % 10;
+        selectedTrack = (selectedTrack + 1) % getTrackCount();
+        updateTrackDisplay();
+    });
+
+    randomSeedInput.addEventListener("change", () => {
+        setRandomSeed(randomSeedInput.value);
+    });
+
+    randomRollBtn.addEventListener("click", () => {
+        setRandomSeed(rollRandomSeed());
+    });
+
+    randomDailyBtn.addEventListener("click", () => {
+        setRandomSeed(getDailySeed());
+    });
+
+    trackImportBtn.addEventListener("click", () => {
+        trackImportInput.click();
+    });
+
+    trackImportInput.addEventListener("change", () => {
+        const file = trackImportInput.files && trackImportInput.files[0];
+        trackImportInput.value = "";
+        if (!file) return;
+        readTrackFile(file)
+            .then(({ layout, repairedProblem, warnings }) => {
+                addCustomTrack(layout);
+                const notes = [`Imported "${layout.name}"`];
+                if (repairedProblem) {
+                    notes.push(`reshaped to fix: ${repairedProblem.message}`);
+                }
+                if (warnings.length) {
+                    notes.push(`${warnings.length} tight corner${warnings.length > 1 ? "s" : ""}`);
+                }
+                trackFileNote.textContent = notes.join(" • ");
+            })
+            .catch((error) => {
+                trackFileNote.textContent = error.message;
+            });
+    });
+
+    trackExportBtn.addEventListener("click", () => {
+        downloadTrackFile({
+            ...createSelectedTrack().getLayout(),
+            name: getSelectedTrackName(),
+        });
+    });
+
+    // Records stay keyed by the track hash, so re-importing brings them back
+    trackRemoveBtn.addEventListener("click", () => {
+        const layout = getSelectedLayout();
+        if (!isCustomSelected() || !confirm(`Remove ${layout.name} from your tracks?`)) return;
+        const next = customTracks.filter((track) => track !== layout);
+        saveCustomTracks(next);
+        customTracks = next;
+        selectedTrack = 0;
+        trackFileNote.textContent = "";
         updateTrackDisplay();
     });
 
     settingsBtn.addEventListener("click", () => {
-        menuScreen.style.display = "none";
-        if (leaderboardScreen) leaderboardScreen.style.display = "none";
-        settingsScreen.style.display = "flex";
+        showScreen(settingsScreen);
     });
 
     settingsBackBtn.addEventListener("click", () => {
-        settingsScreen.style.display = "none";
-        if (leaderboardScreen) leaderboardScreen.style.display = "none";
-        menuScreen.style.display = "flex";
+        if (currentGame && currentGame.paused) {
+            // Opened from the pause menu, so go back there
+            settingsScreen.classList.remove("over-game");
+            settingsScreen.style.display = "none";
+            pauseMenu.style.display = "flex";
+            return;
+        }
+        showScreen(menuScreen);
     });
 
     leaderboardBtn.addEventListener("click", () => {
-        menuScreen.style.display = "none";
-        settingsScreen.style.display = "none";
-        if (leaderboardScreen) leaderboardScreen.style.display = "flex";
+        showScreen(leaderboardScreen);
         renderLeaderboard();
     });
 
     leaderboardBackBtn.addEventListener("click", () => {
-        if (leaderboardScreen) leaderboardScreen.style.display = "none";
-        settingsScreen.style.display = "none";
-        menuScreen.style.display = "flex";
+        showScreen(menuScreen);
     });
 
     leaderboardClearBtn.addEventListener("click", () => {
         if (!confirm("Clear records for this track?")) return;
-        clearLeaderboard(selectedTrack);
+        clearTrackRecords(getSelectedTrackKey());
         renderLeaderboard();
     });
 
@@ -3268,12 +7839,14 @@ function initMenu() {
         }
     });
 
-    startBtn.addEventListener("click", () => {
-        menuScreen.style.display = "none";
-        settingsScreen.style.display = "none";
+    function startRace(trackIndex, playerCount, settings) {
+        showScreen(null);
         gameCanvas.style.display = "block";
         backBtn.style.display = "block";
+        restartBtn.style.display = "block";
         finishBackBtn.style.display = "none";
+        rematchBtn.style.display = "none";
+        finishBackBtn.textContent = activeCup ? "Cup Standings" : "Back to Menu";
         setTouchControlsEnabled(isTouchDevice());
 
         // Initialize audio on user interaction (required by browsers)
@@ -3283,15 +7856,22 @@ function initMenu() {
         soundManager.startMusic();
 
         currentGame = new Game(
-            selectedPlayers,
-            selectedTrack,
-            gameSettings,
-            playerControllerConfig.slice(0, selectedPlayers)
+            playerCount,
+            trackIndex,
+            { ...settings, garage: getSeatPicks(playerCount) },
+            playerControllerConfig.slice(0, playerCount)
         );
+        currentGame.onPauseChange = (paused) => {
+            pauseMenu.style.display = paused ? "flex" : "none";
+            if (!paused) {
+                settingsScreen.classList.remove("over-game");
+                settingsScreen.style.display = "none";
+            }
+        };
         currentGame.start();
-    });
+    }
 
-    backBtn.addEventListener("click", () => {
+    function leaveGame() {
         if (currentGame) {
             currentGame.stop();
             currentGame = null;
@@ -3300,19 +7880,803 @@ function initMenu() {
         soundManager.stopMusic();
         soundManager.stopEngineSound();
 
-        settingsScreen.style.display = "none";
-        if (leaderboardScreen) leaderboardScreen.style.display = "none";
-        menuScreen.style.display = "flex";
         gameCanvas.style.display = "none";
         backBtn.style.display = "none";
+        restartBtn.style.display = "none";
         finishBackBtn.style.display = "none";
+        rematchBtn.style.display = "none";
+        pauseMenu.style.display = "none";
+        settingsScreen.classList.remove("over-game");
         setTouchControlsEnabled(false);
+    }
+
+    // Garage: each player picks a vehicle (null keeps the track's own)
+    // and a paint color before the race
+    const garageImportBtn = document.getElementById("garageImportBtn");
+    const garageImportInput = document.getElementById("garageImportInput");
+    const garageImportNote = document.getElementById("garageImportNote");
+    const garageStatBars = [
+        { label: "Speed", key: "topSpeed" },
+        { label: "Accel", key: "acceleration" },
+        { label: "Grip", key: "grip" },
+        { label: "Weight", key: "mass" },
+    ];
+    let garagePlayerCount = 1;
+    let garageTrackVehicle = "roadster";
+    let garagePadState = [];
+
+    function getSeatProfile(seat) {
+        return profiles.find((profile) => profile.name === gameSettings.seatProfiles[seat]);
+    }
+
+    function isProfileTaken(profile, seat, playerCount = garagePlayerCount) {
+        return gameSettings.seatProfiles.some(
+            (name, i) => i !== seat && i < playerCount && name === profile.name
+        );
+    }
+
+    function getFreeProfileName() {
+        let n = 1;
+        while (profiles.some((profile) => profile.name === `Player ${n}`)) n++;
+        return `Player ${n}`;
+    }
+
+    // Give every seat in the race its own profile: a seat whose profile has
+    // gone, or is already sat in, moves to a free one (made if need be).
+    // Two profiles can share a paint, so later seats repaint on a clash.
+    function resolveSeatProfiles(playerCount) {
+        for (let seat = 0; seat < playerCount; seat++) {
+            const current = getSeatProfile(seat);
+            const sharedEarlier = gameSettings.seatProfiles
+                .slice(0, seat)
+                .includes(gameSettings.seatProfiles[seat]);
+            if (current && !sharedEarlier) continue;
+
+            let profile = profiles.find(
+                (candidate) => !gameSettings.seatProfiles.slice(0, playerCount).includes(candidate.name)
+            );
+            if (!profile) {
+                const name = current ? getFreeProfileName() : gameSettings.seatProfiles[seat];
+                profile = createProfile(name, PLAYER_COLORS[seat]);
+                profiles.push(profile);
+            }
+            gameSettings.seatProfiles[seat] = profile.name;
+        }
+
+        for (let seat = 0; seat < playerCount; seat++) {
+            const profile = getSeatProfile(seat);
+            if (isColorTaken(profile.color, seat, seat)) {
+                profile.color = PAINT_COLORS.find(
+                    (color) => !isColorTaken(color, seat, playerCount)
+                );
+            }
+        }
+        saveProfiles(profiles);
+        saveSettings(gameSettings);
+    }
+
+    // Garage picks for the Game, one per seat
+    function getSeatPicks(playerCount) {
+        resolveSeatProfiles(playerCount);
+        return Array.from({ length: playerCount }, (_, seat) => ({ ...getSeatProfile(seat) }));
+    }
+
+    // Whether one of the first playerCount seats, other than this one, has a paint
+    function isColorTaken(color, player, playerCount = garagePlayerCount) {
+        for (let seat = 0; seat < playerCount; seat++) {
+            const profile = getSeatProfile(seat);
+            if (seat !== player && profile && profile.color === color) return true;
+        }
+        return false;
+    }
+
+    // Step through the profiles nobody else in the race is using
+    function cycleProfile(player, step) {
+        const count = profiles.length;
+        let index = profiles.indexOf(getSeatProfile(player));
+        for (let n = 0; n < count; n++) {
+            index = (index + step + count) % count;
+            if (!isProfileTaken(profiles[index], player)) break;
+        }
+        setSeatProfile(player, profiles[index]);
+    }
+
+    function setSeatProfile(player, profile) {
+        gameSettings.seatProfiles[player] = profile.name;
+        if (isColorTaken(profile.color, player)) {
+            profile.color = PAINT_COLORS.find((color) => !isColorTaken(color, player));
+            saveProfiles(profiles);
+        }
+        saveSettings(gameSettings);
+        renderGarage();
+    }
+
+    function addProfile(player) {
+        if (profiles.length >= PROFILE_LIMIT) {
+            garageImportNote.textContent = `Only ${PROFILE_LIMIT} profiles can be kept. Delete one first.`;
+            return;
+        }
+        const input = prompt("Profile name", getFreeProfileName());
+        const name = input ? input.trim().slice(0, PROFILE_NAME_MAX) : "";
+        if (!name) return;
+        if (profiles.some((profile) => profile.name === name)) {
+            garageImportNote.textContent = `There's already a profile called "${name}".`;
+            return;
+        }
+        const profile = createProfile(name, getSeatProfile(player).color);
+        profiles.push(profile);
+        saveProfiles(profiles);
+        setSeatProfile(player, profile);
+    }
+
+    // The seat moves on to another free profile; the last one always stays
+    function deleteProfile(player) {
+        const profile = getSeatProfile(player);
+        if (profiles.length <= garagePlayerCount) {
+            garageImportNote.textContent = "Every player needs a profile.";
+            return;
+        }
+        if (!confirm(`Delete the "${profile.name}" profile?`)) return;
+        cycleProfile(player, 1);
+        profiles = profiles.filter((candidate) => candidate !== profile);
+        saveProfiles(profiles);
+        renderGarage();
+    }
+
+    function cycleVehicle(player, step) {
+        const pick = getSeatProfile(player);
+        const garageVehicles = getGarageVehicles();
+        const index = garageVehicles.indexOf(pick.vehicle);
+        const count = garageVehicles.length;
+        pick.vehicle = garageVehicles[(index + step + count) % count];
+        saveProfiles(profiles);
+        renderGarage();
+    }
+
+    function setGarageColor(player, color) {
+        if (isColorTaken(color, player)) return;
+        getSeatProfile(player).color = color;
+        saveProfiles(profiles);
+        renderGarage();
+    }
+
+    // Step through the palette, skipping colors other players hold
+    function cycleColor(player, step) {
+        const count = PAINT_COLORS.length;
+        let index = PAINT_COLORS.indexOf(getSeatProfile(player).color);
+        for (let n = 0; n < count; n++) {
+            index = (index + step + count) % count;
+            if (!isColorTaken(PAINT_COLORS[index], player)) break;
+        }
+        setGarageColor(player, PAINT_COLORS[index]);
+    }
+
+    // Livery edits: secondary color, decal pattern and race number
+    function setGarageLivery(player, changes) {
+        Object.assign(getSeatProfile(player), changes);
+        saveProfiles(profiles);
+        renderGarage();
+    }
+
+    function cyclePattern(player, step) {
+        const pick = getSeatProfile(player);
+        const count = LIVERY_PATTERNS.length;
+        const index = LIVERY_PATTERNS.findIndex((p) => p.id === pick.pattern);
+        setGarageLivery(player, {
+            pattern: LIVERY_PATTERNS[(index + step + count) % count].id,
+        });
+    }
+
+    function getGarageLivery(pick) {
+        return {
+            primary: pick.color,
+            secondary: pick.secondary,
+            pattern: pick.pattern,
+            number: pick.number,
+        };
+    }
+
+    // Built-in styles, then any imported sprites
+    function getGarageVehicles() {
+        return [
+            null,
+            ...Object.keys(VEHICLE_STATS),
+            ...customSprites.map((sprite) => `custom:${sprite.id}`),
+        ];
+    }
+
+    function drawGaragePreview(canvas, shape, livery) {
+        const stats = getCustomSprite(shape) || getVehicleStats(shape);
+        loadCarImage(shape, livery).then((img) => {
+            const ctx = canvas.getContext("2d");
+            const width = stats.width * 1.8;
+            const height = stats.height * 1.8;
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            ctx.drawImage(
+                img,
+                (canvas.width - width) / 2,
+                (canvas.height - height) / 2,
+                width,
+                height
+            );
+        });
+    }
+
+    function renderGarage() {
+        garageCards.innerHTML = "";
+        for (let i = 0; i < garagePlayerCount; i++) {
+            const pick = getSeatProfile(i);
+            // A deleted sprite falls back to the track's vehicle
+            if (isCustomVehicle(pick.vehicle) && !getCustomSprite(pick.vehicle)) {
+                pick.vehicle = null;
+            }
+            const shape = pick.vehicle || garageTrackVehicle;
+            const stats = getVehicleStats(shape);
+            const sprite = getCustomSprite(shape);
+            let name = pick.vehicle ? stats.label : `Track pick: ${stats.label}`;
+            if (sprite) name = sprite.name;
+            const pattern =
+                LIVERY_PATTERNS.find((p) => p.id === pick.pattern) || LIVERY_PATTERNS[0];
+            const input =
+                playerControllerConfig[i] !== null
+                    ? `🎮 Gamepad ${playerControllerConfig[i] + 1}`
+                    : controlsData[i].keys.split(" • ")[0];
+            const bars = garageStatBars
+                .map(({ label, key }) => {
+                    const max = Math.max(
+                        ...Object.values(VEHICLE_STATS).map((v) => v[key])
+                    );
+                    const percent = Math.round((stats[key] / max) * 100);
+                    return `
+                        <span>${label}</span>
+                        <div class="garage-bar"><span style="width: ${percent}%"></span></div>
+                    `;
+                })
+                .join("");
+
+            const card = document.createElement("div");
+            card.className = "garage-card";
+            card.innerHTML = `
+                <span class="garage-player" style="color: ${pick.color}">${controlsData[i].player}</span>
+                <span class="garage-input">${input}</span>
+                <div class="garage-vehicle">
+                    <button class="nav-btn" data-profile-step="-1">◀</button>
+                    <span class="garage-vehicle-name" data-profile-name></span>
+                    <button class="nav-btn" data-profile-step="1">▶</button>
+                </div>
+                <div class="garage-profile-actions">
+                    <button class="secondary-btn" data-profile-new>New</button>
+                    <button class="secondary-btn danger-btn" data-profile-delete>Delete</button>
+                </div>
+                <canvas class="garage-preview" width="70" height="100"></canvas>
+                <div class="garage-vehicle">
+                    <button class="nav-btn" data-step="-1">◀</button>
+                    <span class="garage-vehicle-name">${name}</span>
+                    <button class="nav-btn" data-step="1">▶</button>
+                </div>
+                ${sprite ? `<button class="secondary-btn danger-btn garage-delete">Delete sprite</button>` : ""}
+                <div class="garage-stats">${bars}</div>
+                <div class="garage-swatches" data-paint></div>
+                <span class="garage-label">Livery</span>
+                <div class="garage-swatches small" data-accent></div>
+                <div class="garage-vehicle">
+                    <button class="nav-btn" data-pattern-step="-1">◀</button>
+                    <span class="garage-vehicle-name">${pattern.label}</span>
+                    <button class="nav-btn" data-pattern-step="1">▶</button>
+                </div>
+                <label class="garage-label">
+                    Race No.
+                    <input class="garage-number" type="number" min="0" max="99" placeholder="--" value="${pick.number === null ? "" : pick.number}">
+                </label>
+            `;
+
+            // Profile names are typed in by players, so never parsed as HTML
+            card.querySelector("[data-profile-name]").textContent = `👤 ${pick.name}`;
+            card.querySelectorAll("[data-profile-step]").forEach((button) => {
+                button.addEventListener("click", () => {
+                    cycleProfile(i, parseInt(button.dataset.profileStep));
+                });
+            });
+            card.querySelector("[data-profile-new]").addEventListener("click", () => {
+                addProfile(i);
+            });
+            card.querySelector("[data-profile-delete]").addEventListener("click", () => {
+                deleteProfile(i);
+            });
+
+            card.querySelectorAll("[data-step]").forEach((button) => {
+                button.addEventListener("click", () => {
+                    cycleVehicle(i, parseInt(button.dataset.step));
+                });
+            });
+
+            const swatches = card.querySelector("[data-paint]");
+            PAINT_COLORS.forEach((color) => {
+                const swatch = document.createElement("button");
+                swatch.className = "garage-swatch";
+                swatch.classList.toggle("active", color === pick.color);
+                swatch.classList.toggle("taken", isColorTaken(color, i));
+                swatch.style.background = color;
+                swatch.setAttribute("aria-label", `Paint ${color}`);
+                swatch.addEventListener("click", () => setGarageColor(i, color));
+                swatches.appendChild(swatch);
+            });
+
+            // Accent swatches, with "auto" for the darker shade of the paint
+            const accents = card.querySelector("[data-accent]");
+            [null, ...PAINT_COLORS].forEach((color) => {
+                const swatch = document.createElement("button");
+                swatch.className = "garage-swatch";
+                swatch.classList.toggle("active", color === pick.secondary);
+                swatch.style.background = color || darkenColor(pick.color);
+                swatch.textContent = color ? "" : "A";
+                swatch.setAttribute("aria-label", color ? `Accent ${color}` : "Auto accent");
+                swatch.addEventListener("click", () => {
+                    setGarageLivery(i, { secondary: color });
+                });
+                accents.appendChild(swatch);
+            });
+
+            const deleteBtn = card.querySelector(".garage-delete");
+            if (deleteBtn) {
+                deleteBtn.addEventListener("click", () => {
+                    if (!confirm(`Delete the "${sprite.name}" sprite?`)) return;
+                    deleteCustomSprite(shape);
+                    saveProfiles(profiles);
+                    renderGarage();
+                });
+            }
+
+            card.querySelectorAll("[data-pattern-step]").forEach((button) => {
+                button.addEventListener("click", () => {
+                    cyclePattern(i, parseInt(button.dataset.patternStep));
+                });
+            });
+
+            card.querySelector(".garage-number").addEventListener("change", (e) => {
+                const number = parseInt(e.target.value, 10);
+                setGarageLivery(i, {
+                    number: Number.isFinite(number)
+                        ? Math.max(0, Math.min(99, number))
+                        : null,
+                });
+            });
+
+            drawGaragePreview(
+                card.querySelector(".garage-preview"),
+                shape,
+                getGarageLivery(pick)
+            );
+            garageCards.appendChild(card);
+        }
+    }
+
+    garageImportBtn.addEventListener("click", () => {
+        garageImportInput.value = "";
+        garageImportInput.click();
+    });
+
+    // New sprites go straight onto Player 1's car
+    garageImportInput.addEventListener("change", () => {
+        const file = garageImportInput.files[0];
+        if (!file) return;
+        garageImportNote.textContent = "Importing…";
+        importCustomSprite(file)
+            .then((sprite) => {
+                garageImportNote.textContent = `Imported "${sprite.name}".`;
+                getSeatProfile(0).vehicle = `custom:${sprite.id}`;
+                saveProfiles(profiles);
+                renderGarage();
+            })
+            .catch((error) => {
+                garageImportNote.textContent = error.message;
+            });
+    });
+
+    function openGarage(playerCount) {
+        garagePlayerCount = playerCount;
+        garageImportNote.textContent = "";
+        const trackVehicle = createSelectedTrack().getTheme().vehicle;
+        garageTrackVehicle = (trackVehicle && trackVehicle.shape) || "roadster";
+        garagePadState = [];
+        resolveSeatProfiles(playerCount);
+
+        renderGarage();
+        showScreen(garageScreen);
+        requestAnimationFrame(pollGarageGamepads);
+    }
+
+    function isGarageOpen() {
+        return garageScreen && garageScreen.style.display === "flex";
+    }
+
+    // Gamepads steer through the garage; A starts the race, B backs out
+    function pollGarageGamepads() {
+        if (!isGarageOpen()) return;
+
+        for (let i = 0; i < garagePlayerCount; i++) {
+            const gamepadIndex = playerControllerConfig[i];
+            if (gamepadIndex === null) continue;
+
+            const nav = gamepadManager.getNavInput(gamepadIndex);
+            const confirm = gamepadManager.isConfirmPressed(gamepadIndex);
+            const back = gamepadManager.isBackPressed(gamepadIndex);
+            // Buttons count as held on the first poll so a press that
+            // opened the garage doesn't also leave it
+            const prev = garagePadState[i] || { x: 0, y: 0, confirm: true, back: true };
+            garagePadState[i] = { ...nav, confirm, back };
+
+            if (nav.x && nav.x !== prev.x) cycleVehicle(i, nav.x);
+            if (nav.y && nav.y !== prev.y) cycleColor(i, nav.y);
+            if (confirm && !prev.confirm) {
+                garageStartBtn.click();
+                return;
+            }
+            if (back && !prev.back) {
+                garageBackBtn.click();
+                return;
+            }
+        }
+
+        requestAnimationFrame(pollGarageGamepads);
+    }
+
+    // Each keyboard player uses their own driving keys in the garage
+    document.addEventListener("keydown", (e) => {
+        // Leave typing in the race number box alone
+        if (!isGarageOpen() || e.repeat || e.target.tagName === "INPUT") return;
+        const key = e.key.toLowerCase();
+
+        if (key === "enter") {
+            e.preventDefault();
+            garageStartBtn.click();
+            return;
+        }
+        if (key === "escape") {
+            garageBackBtn.click();
+            return;
+        }
+
+        for (let i = 0; i < garagePlayerCount; i++) {
+            if (playerControllerConfig[i] !== null) continue;
+            const keyMap = PLAYER_KEY_MAPS[i];
+            if (key === keyMap.left) cycleVehicle(i, -1);
+            else if (key === keyMap.right) cycleVehicle(i, 1);
+            else if (key === keyMap.up) cycleColor(i, -1);
+            else if (key === keyMap.down) cycleColor(i, 1);
+            else continue;
+            e.preventDefault();
+            return;
+        }
+    });
+
+    startBtn.addEventListener("click", () => {
+        activeCup = null;
+        const playerCount =
+            gameSettings.raceMode === "timetrial" ? 1 : selectedPlayers;
+        openGarage(playerCount);
+    });
+
+    garageStartBtn.addEventListener("click", () => {
+        startSelectedRace(garagePlayerCount);
+    });
+
+    garageBackBtn.addEventListener("click", () => {
+        showScreen(menuScreen);
+    });
+
+    backBtn.addEventListener("click", () => {
+        // Quitting a cup race leaves the cup saved so it can be resumed
+        activeCup = null;
+        leaveGame();
+        if (editorTestDrive) {
+            editorTestDrive = false;
+            openEditor();
+            return;
+        }
+        showScreen(menuScreen);
+    });
+
+    restartBtn.addEventListener("click", () => {
+        if (currentGame) {
+            currentGame.restartRace();
+        }
+    });
+
+    resumeBtn.addEventListener("click", () => {
+        if (currentGame) {
+            currentGame.resume();
+        }
+    });
+
+    pauseRestartBtn.addEventListener("click", () => {
+        if (currentGame) {
+            currentGame.restartRace();
+        }
+    });
+
+    pauseSettingsBtn.addEventListener("click", () => {
+        pauseMenu.style.display = "none";
+        settingsScreen.classList.add("over-game");
+        settingsScreen.style.display = "flex";
+    });
+
+    pauseQuitBtn.addEventListener("click", () => {
+        backBtn.click();
+    });
+
+    rematchBtn.addEventListener("click", () => {
+        if (currentGame) {
+            currentGame.restartRace();
+        }
     });
 
     finishBackBtn.addEventListener("click", () => {
+        if (activeCup) {
+            leaveGame();
+            renderCupStandings();
+            showScreen(cupStandingsScreen);
+            return;
+        }
         backBtn.click();
     });
 
+    function renderCupScreen() {
+        cupTrackList.innerHTML = "";
+        trackNames.forEach((name, i) => {
+            const button = document.createElement("button");
+            button.className = `cup-track${cupTrackSelection.has(i) ? " active" : ""}`;
+            button.textContent = `${i + 1}. ${name}`;
+            button.addEventListener("click", () => {
+                if (cupTrackSelection.has(i)) {
+                    cupTrackSelection.delete(i);
+                } else {
+                    cupTrackSelection.add(i);
+                }
+                renderCupScreen();
+            });
+            cupTrackList.appendChild(button);
+        });
+        cupStartBtn.disabled = cupTrackSelection.size === 0;
+
+        const saved = loadCup();
+        cupResumeBtn.style.display = saved ? "block" : "none";
+        cupAbandonBtn.style.display = saved ? "block" : "none";
+        if (saved) {
+            cupResumeBtn.textContent = `Resume Cup (Race ${saved.raceIndex + 1}/${saved.tracks.length})`;
+        }
+    }
+
+    function startCupRace() {
+        startRace(activeCup.tracks[activeCup.raceIndex], activeCup.playerCount, {
+            ...gameSettings,
+            raceMode: "race",
+            aiDifficulty: activeCup.aiDifficulty,
+        });
+
+        const cup = activeCup;
+        currentGame.onRaceEnd = (game) => {
+            // The result counts once it's in, so no rematches mid-cup
+            rematchBtn.style.display = "none";
+            recordCupRace(cup, game.getResults());
+            if (isCupComplete(cup)) {
+                clearCup();
+            } else {
+                saveCup(cup);
+            }
+        };
+    }
+
+    function renderCupStandings() {
+        const complete = isCupComplete(activeCup);
+        cupStandingsTitle.textContent = complete
+            ? "Final Standings"
+            : `After Race ${activeCup.raceIndex}/${activeCup.tracks.length}`;
+
+        cupStandingsList.innerHTML = "";
+        getCupStandings(activeCup).forEach((entry, i) => {
+            const li = document.createElement("li");
+            li.className = `leaderboard-item${i === 0 ? " rank-1" : ""}`;
+            const wins = entry.wins === 1 ? "1 win" : `${entry.wins} wins`;
+            li.innerHTML = `
+                <span class="leaderboard-rank">${i + 1}</span>
+                <span class="leaderboard-time" style="color: ${PLAYER_COLORS[entry.slot]}">${getCupDriverName(activeCup, entry.slot)}</span>
+                <span class="leaderboard-meta">${entry.points} pts • ${wins}</span>
+            `;
+            cupStandingsList.appendChild(li);
+        });
+
+        if (complete) {
+            const champion = getCupStandings(activeCup)[0];
+            cupStandingsNote.textContent = `🏆 ${getCupDriverName(activeCup, champion.slot)} is the champion!`;
+            cupNextBtn.style.display = "none";
+            cupQuitBtn.textContent = "Back to Menu";
+        } else {
+            const nextTrack = activeCup.tracks[activeCup.raceIndex];
+            cupStandingsNote.textContent = `Next: ${trackNames[nextTrack]}`;
+            cupNextBtn.style.display = "block";
+            cupQuitBtn.textContent = "Save & Quit";
+        }
+    }
+
+    cupBtn.addEventListener("click", () => {
+        renderCupScreen();
+        showScreen(cupScreen);
+    });
+
+    cupBackBtn.addEventListener("click", () => {
+        showScreen(menuScreen);
+    });
+
+    cupStartBtn.addEventListener("click", () => {
+        if (cupTrackSelection.size === 0) return;
+        if (loadCup() && !confirm("Replace the cup in progress?")) return;
+
+        const tracks = [...cupTrackSelection].sort((a, b) => a - b);
+        activeCup = createCup(tracks, selectedPlayers, gameSettings.aiDifficulty);
+        saveCup(activeCup);
+        startCupRace();
+    });
+
+    cupResumeBtn.addEventListener("click", () => {
+        activeCup = loadCup();
+        if (activeCup) {
+            startCupRace();
+        }
+    });
+
+    cupAbandonBtn.addEventListener("click", () => {
+        if (!confirm("Abandon the cup in progress?")) return;
+        clearCup();
+        renderCupScreen();
+    });
+
+    cupNextBtn.addEventListener("click", () => {
+        startCupRace();
+    });
+
+    cupQuitBtn.addEventListener("click", () => {
+        activeCup = null;
+        showScreen(menuScreen);
+    });
+
+    // Track editor: starts from the last edited layout, or a copy of the
+    // track selected on the menu
+    const trackEditor = new TrackEditor(editorCanvas);
+    // Track key of the last test drive, whose records are dropped once the
+    // track is edited again
+    let lastTestDriveKey = null;
+
+    trackEditor.onChange = (layout) => {
+        saveEditorLayout(layout);
+        renderEditorControls();
+    };
+
+    function renderEditorControls() {
+        const layout = trackEditor.layout;
+        editorThemeName.textContent = trackNames[layout.theme];
+        editorWidthInput.value = layout.width;
+        editorWidthValue.textContent = layout.width;
+        editorToolButtons.forEach((btn) => {
+            btn.classList.toggle("active", btn.dataset.editorTool === trackEditor.tool);
+        });
+        editorDeleteBtn.disabled = layout.points.length <= TRACK_MIN_POINTS;
+        editorFixBtn.disabled = trackEditor.problems.length === 0;
+        editorTestBtn.disabled = trackEditor.hasErrors();
+        editorSaveBtn.disabled = trackEditor.hasErrors();
+        if (trackEditor.problems.length) {
+            const [first] = trackEditor.problems;
+            const more = trackEditor.problems.length - 1;
+            editorNote.textContent = `${first.message}${more ? ` (+${more} more)` : ""}`;
+        } else {
+            editorNote.textContent =
+                trackEditor.tool === "gates"
+                    ? `Click the track to add or remove a sector gate (${layout.gates.length} placed)`
+                    : `${layout.points.length} points. Drag to move, double-click to insert`;
+        }
+    }
+
+    function openEditor() {
+        if (!trackEditor.layout) {
+            trackEditor.setLayout(
+                loadEditorLayout() || createSelectedTrack().getLayout()
+            );
+        }
+        showScreen(editorScreen);
+        trackEditor.fitView();
+        trackEditor.render();
+        renderEditorControls();
+    }
+
+    editorBtn.addEventListener("click", openEditor);
+
+    editorBackBtn.addEventListener("click", () => {
+        showScreen(menuScreen);
+    });
+
+    editorPrevTheme.addEventListener("click", () => {
+        trackEditor.setTheme(
+            (trackEditor.layout.theme - 1 + TRACK_THEME_COUNT) % TRACK_THEME_COUNT
+        );
+    });
+
+    editorNextTheme.addEventListener("click", () => {
+        trackEditor.setTheme((trackEditor.layout.theme + 1) % TRACK_THEME_COUNT);
+    });
+
+    editorWidthInput.addEventListener("input", () => {
+        trackEditor.setWidth(Number(editorWidthInput.value));
+    });
+
+    editorToolButtons.forEach((btn) => {
+        btn.addEventListener("click", () => {
+            trackEditor.tool = btn.dataset.editorTool;
+            renderEditorControls();
+        });
+    });
+
+    editorInsertBtn.addEventListener("click", () => {
+        trackEditor.insertAfterSelected();
+    });
+
+    editorDeleteBtn.addEventListener("click", () => {
+        trackEditor.deleteSelected();
+    });
+
+    editorStartLineBtn.addEventListener("click", () => {
+        trackEditor.setStartAtSelected();
+    });
+
+    editorCopyBtn.addEventListener("click", () => {
+        if (!confirm(`Replace the layout with ${getSelectedTrackName()}?`)) return;
+        trackEditor.setLayout({ ...createSelectedTrack().getLayout(), name: getSelectedTrackName() });
+        saveEditorLayout(trackEditor.layout);
+        renderEditorControls();
+    });
+
+    editorFixBtn.addEventListener("click", () => {
+        trackEditor.autoFix();
+    });
+
+    editorSaveBtn.addEventListener("click", () => {
+        const name = prompt("Track name", trackEditor.layout.name || "My Track");
+        if (name === null) return;
+        trackEditor.layout.name = name.trim().slice(0, 32) || "Custom Track";
+        saveEditorLayout(trackEditor.layout);
+        try {
+            addCustomTrack(JSON.parse(JSON.stringify(trackEditor.layout)));
+            editorNote.textContent = `Saved "${trackEditor.layout.name}" to the track list`;
+        } catch (error) {
+            editorNote.textContent = error.message;
+        }
+    });
+
+    editorTestBtn.addEventListener("click", () => {
+        const layout = JSON.parse(JSON.stringify(trackEditor.layout));
+        // Drop the records of the previous draft unless it was saved
+        const trackKey = getLayoutTrackKey(layout);
+        const savedKeys = customTracks.map((track) => getLayoutTrackKey(track));
+        if (lastTestDriveKey && lastTestDriveKey !== trackKey && !savedKeys.includes(lastTestDriveKey)) {
+            clearTrackRecords(lastTestDriveKey);
+        }
+        lastTestDriveKey = trackKey;
+        activeCup = null;
+        editorTestDrive = true;
+        startRace(layout.theme, 1, {
+            ...gameSettings,
+            raceMode: "timetrial",
+            trackLayout: layout,
+        });
+    });
+
+    document.addEventListener("keydown", (e) => {
+        if (editorScreen.style.display !== "flex" || e.target.tagName === "INPUT") return;
+        if (e.key === "Delete" || e.key === "Backspace") {
+            e.preventDefault();
+            trackEditor.deleteSelected();
+        }
+    });
+
 }
 
 // Initialize when page loads